@@ -0,0 +1,78 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const { getAlertKey } = require('./priceAlerts');
+
+// Minimum time between two alerts of the same rule, so an offer hovering around the
+// threshold (or appearing and disappearing) doesn't fire the alert every check
+const MIN_ALERT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Per-rule price alert state, so a condition fires once when it starts to hold rather than every check
+// A rule is re-armed once its condition no longer holds
+class AlertTracker {
+  constructor() {
+    this.dataFile = path.join(config.DATA_DIR, 'price_alerts.json');
+    this.alerts = {}; // alertKey -> { active, since, lastFiredAt, lastValue, lastCheckedAt }
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(config.DATA_DIR, { recursive: true });
+      this.alerts = JSON.parse(await fs.readFile(this.dataFile, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async save() {
+    await fs.writeFile(this.dataFile, JSON.stringify(this.alerts, null, 2), 'utf-8');
+  }
+
+  // Record a rule's evaluation - returns true when the alert should be sent
+  update(rule, result) {
+    const key = getAlertKey(rule);
+    const now = Date.now();
+    const state = this.alerts[key] || { active: false, since: null, lastFiredAt: null, lastValue: null };
+    state.lastValue = result.value;
+    state.lastCheckedAt = now;
+    this.alerts[key] = state;
+
+    if (!result.met) {
+      if (state.active) {
+        logger.info(`Price alert ${key} re-armed - condition no longer holds`);
+      }
+      state.active = false;
+      state.since = null;
+      return false;
+    }
+    if (state.active || (state.lastFiredAt && now - state.lastFiredAt < MIN_ALERT_INTERVAL_MS)) {
+      return false;
+    }
+    state.active = true;
+    state.since = now;
+    state.lastFiredAt = now;
+    return true;
+  }
+
+  // Forget the state of rules that were removed or changed
+  prune(rules) {
+    const keys = new Set(rules.map(getAlertKey));
+    Object.keys(this.alerts)
+      .filter(key => !keys.has(key))
+      .forEach(key => delete this.alerts[key]);
+  }
+
+  getState(rule) {
+    return this.alerts[getAlertKey(rule)] || null;
+  }
+
+  async clearAll() {
+    this.alerts = {};
+    await this.save();
+  }
+}
+
+module.exports = new AlertTracker();
@@ -2,6 +2,19 @@ require('dotenv').config({ override: true });
 const fs = require('fs');
 const path = require('path');
 const EventEmitter = require('events');
+const { normalizeFilters } = require('./offerFilter');
+const { normalizeSchedule } = require('./notificationSchedule');
+const { normalizeOverrides, NETWORKS } = require('./federation');
+const { MARKET_PRICE_SOURCES } = require('./marketContext');
+const { normalizeAlerts } = require('./priceAlerts');
+const { normalizeHomeLocation } = require('./geoFilter');
+const { normalizeTemplate, MAX_TEMPLATE_LENGTH } = require('./messageTemplate');
+const i18n = require('./i18n');
+const { validateSettings, pickSettings } = require('./settingsSchema');
+const { CONFIG_VERSION, migrateConfig } = require('./configBundle');
+
+// Persistent state (seen offers, caches, outbox) lives here
+const DATA_DIR = './data';
 
 // Create event emitter for config changes
 const configEmitter = new EventEmitter();
@@ -56,53 +69,90 @@ const CURRENCY_MAP = {
   'SAT': 1000
 };
 
-// Required environment variables (excluding notification-specific ones and TARGET_CURRENCIES which can be set via UI)
-const requiredEnvVars = [
-  'ROBOSATS_API_URL',
-  'ROBOSATS_COORDINATORS',
-  'ROBOSATS_ONION_URL'
-];
+// Subscription used when no subscriptions are configured (built from the flat notification settings)
+const DEFAULT_SUBSCRIPTION_ID = 'default';
 
-// Validate required environment variables
-const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-if (missingVars.length > 0 && process.env.ROBOSATS_USE_MOCK !== 'true') {
-  console.error('ERROR: Missing required environment variables:');
-  missingVars.forEach(varName => console.error(`  - ${varName}`));
-  console.error('\nPlease set these variables in your .env file');
-  process.exit(1);
-}
+// Choices of the enumerated settings
+const NOTIFICATION_TYPES = ['group', 'contact', 'telegram'];
+const FETCH_MODES = ['local', 'tor'];
+const INACTIVE_MESSAGE_ACTIONS = ['delete', 'mark'];
+const DIGEST_MODES = ['off', 'cycle', 'hourly', 'daily'];
+const MARKET_REPORT_MODES = ['off', 'hourly', 'daily'];
 
-// Validate notification configuration (either group or contact must be configured)
-// This validation happens after config is loaded, not at module initialization
-function validateNotificationConfig() {
-  const notificationType = process.env.NOTIFICATION_TYPE || 'group';
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
+
+// Validate a notification destination (WhatsApp group or contact, Telegram chat or webhook)
+function normalizeDestination(destination) {
+  if (!destination || typeof destination !== 'object') {
+    throw i18n.uiError('subscriptions.destinationMissing');
+  }
   
-  if (notificationType === 'contact') {
-    if (!process.env.CONTACT_COUNTRY_CODE || !process.env.CONTACT_PHONE_NUMBER) {
-      throw new Error('Contact notification type selected but CONTACT_COUNTRY_CODE or CONTACT_PHONE_NUMBER not configured');
+  const type = destination.type || 'group';
+  
+  if (type === 'contact') {
+    const countryCode = String(destination.countryCode || '').trim();
+    const phoneNumber = String(destination.phoneNumber || '').trim();
+    if (!countryCode || !phoneNumber) {
+      throw i18n.uiError('subscriptions.contactMissing');
     }
-  } else {
-    if (!process.env.WHATSAPP_GROUP_NAME) {
-      throw new Error('Group notification type selected but WHATSAPP_GROUP_NAME not configured');
+    const cleanPhone = phoneNumber.replace(/\D/g, '');
+    if (cleanPhone.length < 6 || cleanPhone.length > 15) {
+      throw i18n.uiError('subscriptions.invalidPhoneNumber');
+    }
+    return { type, countryCode, phoneNumber };
+  }
+  
+  if (type === 'group') {
+    const groupName = String(destination.groupName || '').trim();
+    if (!groupName) {
+      throw i18n.uiError('subscriptions.groupMissing');
+    }
+    return { type, groupName };
+  }
+  
+  if (type === 'telegram') {
+    // Numeric chat ID (e.g. -1001234567890) or public channel username (@channel)
+    const chatId = String(destination.chatId || '').trim();
+    if (!chatId) {
+      throw i18n.uiError('subscriptions.telegramChatMissing');
+    }
+    if (!/^(-?\d+|@[A-Za-z0-9_]{5,})$/.test(chatId)) {
+      throw i18n.uiError('subscriptions.invalidTelegramChat');
     }
+    return { type, chatId };
   }
+  
+  if (type === 'webhook') {
+    const url = String(destination.url || '').trim();
+    const secret = String(destination.secret || '').trim();
+    if (!/^https?:\/\/\S+$/i.test(url)) {
+      throw i18n.uiError('subscriptions.invalidWebhookUrl');
+    }
+    // Every delivery is signed, so the secret is mandatory
+    if (secret.length < MIN_WEBHOOK_SECRET_LENGTH) {
+      throw i18n.uiError('subscriptions.webhookSecretTooShort', { min: MIN_WEBHOOK_SECRET_LENGTH });
+    }
+    return { type, url, secret };
+  }
+  
+  throw i18n.uiError('subscriptions.invalidDestinationType', { type });
 }
 
-// Parse target currencies from comma-separated list
-// Format: "USD,EUR,GBP" (currency codes only)
-// The function will automatically map codes to IDs using CURRENCY_MAP
-function parseTargetCurrencies() {
-  const currenciesStr = process.env.TARGET_CURRENCIES;
-  if (!currenciesStr || currenciesStr.trim() === '') {
-    if (process.env.ROBOSATS_USE_MOCK === 'true') {
-      return [{ code: 'USD', id: 1 }];
-    }
-    // Return empty array for first run - user will configure via web UI
-    return [];
+// Validate a subscription's destination and currencies before sending to it
+// This validation happens after config is loaded, not at module initialization
+function validateSubscription(subscription) {
+  normalizeDestination(subscription.destination);
+  if (!subscription.currencies || subscription.currencies.length === 0) {
+    throw new Error('No target currencies configured');
   }
+}
 
-  const currencies = currenciesStr.split(',')
-    .map(code => code.trim())
+// Map a list of currency codes (array or comma-separated string) to { code, id } objects
+function parseCurrencyCodes(codes) {
+  const list = Array.isArray(codes) ? codes : String(codes || '').split(',');
+  
+  return list
+    .map(code => String(code).trim())
     .filter(code => code !== '') // Filter out empty strings from splitting
     .map(code => {
       const currencyCode = code.toUpperCase();
@@ -121,35 +171,33 @@ function parseTargetCurrencies() {
         id: currencyId
       };
     });
+}
+
+// Parse target currencies from comma-separated list
+// Format: "USD,EUR,GBP" (currency codes only)
+// The function will automatically map codes to IDs using CURRENCY_MAP
+function parseTargetCurrencies() {
+  const currenciesStr = settings.TARGET_CURRENCIES;
+  if (!currenciesStr || currenciesStr.trim() === '') {
+    if (settings.ROBOSATS_USE_MOCK === 'true') {
+      return [{ code: 'USD', id: 1 }];
+    }
+    // Return empty array for first run - user will configure via web UI
+    return [];
+  }
 
-  return currencies;
+  return parseCurrencyCodes(currenciesStr);
 }
 
 // Parse check interval in minutes
 function parseCheckInterval() {
-  const intervalMinutes = parseInt(process.env.CHECK_INTERVAL_MINUTES);
+  const intervalMinutes = parseInt(settings.CHECK_INTERVAL_MINUTES);
   if (isNaN(intervalMinutes) || intervalMinutes < 5) {
     throw new Error('CHECK_INTERVAL_MINUTES must be at least 5 minutes');
   }
   return intervalMinutes * 60 * 1000; // Convert to milliseconds
 }
 
-// Coordinator name mapping (ID -> Display Name)
-const COORDINATOR_MAP = {
-  'alice': 'Alice',
-  'whiteyesats': 'WhitEyeSats',
-  'freedomsats': 'FreedomSats',
-  'bazaar': 'LibreBazaar',
-  'moon': 'Over the moon',
-  'veneto': 'BitcoinVeneto',
-  'lake': 'TheBigLake',
-  'temple': 'Temple of Sats',
-  'mock': 'Mock' // For testing
-};
-
-// Available coordinators in RoboSats federation (derived from COORDINATOR_MAP, excluding 'mock')
-const AVAILABLE_COORDINATORS = Object.keys(COORDINATOR_MAP).filter(c => c !== 'mock');
-
 // Country codes for phone number selection
 // Sorted alphabetically by country name
 const COUNTRY_CODES = [
@@ -373,8 +421,8 @@ const COUNTRY_CODES = [
 ];
 
 // Parse and validate language
-function parseLanguage() {
-  let lang = (process.env.LANGUAGE || 'EN').toUpperCase();
+function parseLanguage(value = settings.LANGUAGE) {
+  let lang = (value || 'EN').toUpperCase();
   
   // Extract language code from locale strings (e.g., "EN_US.UTF-8" -> "EN")
   // Take first 2 characters before underscore, dot, or dash
@@ -383,29 +431,398 @@ function parseLanguage() {
     lang = match[1];
   }
   
-  if (!['EN', 'ES'].includes(lang)) {
-    throw new Error(`Invalid LANGUAGE: ${process.env.LANGUAGE}. Must be 'EN' or 'ES'`);
+  // Any language with a catalog in src/locales
+  if (!i18n.isSupportedLanguage(lang)) {
+    const codes = i18n.getLanguages().map(language => language.code);
+    throw new Error(`Invalid LANGUAGE: ${value}. Must be one of ${codes.join(', ')}`);
   }
   return lang;
 }
 
+// Parse what happens to messages of inactive offers ('delete' or 'mark')
+function parseInactiveMessageAction() {
+  const action = (settings.INACTIVE_MESSAGE_ACTION || 'delete').toLowerCase();
+  if (!INACTIVE_MESSAGE_ACTIONS.includes(action)) {
+    throw new Error(`Invalid INACTIVE_MESSAGE_ACTION: ${action}. Must be 'delete' or 'mark'`);
+  }
+  return action;
+}
+
+// Parse how many minutes before an offer expires a reminder is sent (0 = no reminders)
+function parseExpiryReminderMinutes() {
+  if (!settings.EXPIRY_REMINDER_MINUTES) {
+    return 0;
+  }
+  const minutes = parseInt(settings.EXPIRY_REMINDER_MINUTES);
+  if (isNaN(minutes) || minutes < 0) {
+    throw new Error('EXPIRY_REMINDER_MINUTES must be a number of minutes (0 to disable reminders)');
+  }
+  return minutes;
+}
+
+// Parse how often the market report is posted: never ('off'), every hour or daily
+function parseMarketReportMode() {
+  const mode = (settings.MARKET_REPORT_MODE || 'off').toLowerCase();
+  if (!MARKET_REPORT_MODES.includes(mode)) {
+    throw new Error(`Invalid MARKET_REPORT_MODE: ${mode}. Must be 'off', 'hourly' or 'daily'`);
+  }
+  return mode;
+}
+
+// Parse the hour of the daily market report
+function parseMarketReportHour() {
+  if (!settings.MARKET_REPORT_HOUR) {
+    return 9;
+  }
+  const hour = parseInt(settings.MARKET_REPORT_HOUR);
+  if (isNaN(hour) || hour < 0 || hour > 23) {
+    throw new Error('MARKET_REPORT_HOUR must be an hour between 0 and 23');
+  }
+  return hour;
+}
+
+// Parse how new offers are sent: one message per offer ('off'), one digest per check ('cycle'),
+// or a scheduled digest ('hourly', 'daily')
+function parseDigestMode() {
+  const mode = (settings.DIGEST_MODE || 'off').toLowerCase();
+  if (!DIGEST_MODES.includes(mode)) {
+    throw new Error(`Invalid DIGEST_MODE: ${mode}. Must be 'off', 'cycle', 'hourly' or 'daily'`);
+  }
+  return mode;
+}
+
+// Parse the local hour (0-23) daily digests are sent at
+function parseDigestHour() {
+  if (!settings.DIGEST_HOUR) {
+    return 9;
+  }
+  const hour = parseInt(settings.DIGEST_HOUR);
+  if (isNaN(hour) || hour < 0 || hour > 23) {
+    throw new Error('DIGEST_HOUR must be an hour between 0 and 23');
+  }
+  return hour;
+}
+
+// Value of a structured setting - an object or list from config.json, or JSON from an env var
+function getStructuredSetting(name) {
+  const value = settings[name];
+  if (typeof value !== 'string' || value === '') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid ${name}: ${error.message}`);
+  }
+}
+
+// Parse the notification schedule (quiet hours) - stored as an object in config.json,
+// or as JSON in the NOTIFICATION_SCHEDULE env var
+function parseNotificationSchedule() {
+  return normalizeSchedule(getStructuredSetting('NOTIFICATION_SCHEDULE'));
+}
+
+// Parse a non-negative threshold (used for offer change detection)
+function parseThreshold(name, defaultValue) {
+  const raw = settings[name];
+  if (raw === undefined || raw === '') {
+    return defaultValue;
+  }
+  const value = parseFloat(raw);
+  if (isNaN(value) || value < 0) {
+    throw new Error(`${name} must be a number of at least 0`);
+  }
+  return value;
+}
+
+// Parse where the market reference shown with offers comes from
+function parseMarketPriceSource() {
+  const source = (settings.MARKET_PRICE_SOURCE || 'limits').toLowerCase();
+  if (!MARKET_PRICE_SOURCES.includes(source)) {
+    throw new Error(`Invalid MARKET_PRICE_SOURCE: ${source}. Must be 'limits', 'info' or 'off'`);
+  }
+  return source;
+}
+
+// A federation source is an http(s) URL or a file under the data directory - it can be set from
+// the web UI, so it must not read arbitrary files on the host
+function normalizeCoordinatorSource(value) {
+  const source = (value || '').trim();
+  if (!source || /^https?:\/\/\S+$/i.test(source)) {
+    return source;
+  }
+  const relative = path.relative(path.resolve(DATA_DIR), path.resolve(source));
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`must be an http:// or https:// URL or a file under ${DATA_DIR}`);
+  }
+  return source;
+}
+
+// Parse the federation source (empty keeps the built-in coordinator list)
+function parseCoordinatorSource() {
+  try {
+    return normalizeCoordinatorSource(settings.COORDINATOR_SOURCE);
+  } catch (error) {
+    throw new Error(`COORDINATOR_SOURCE ${error.message}`);
+  }
+}
+
+// Parse how often (hours) the federation list is reloaded from COORDINATOR_SOURCE
+function parseCoordinatorRefreshHours() {
+  if (!settings.COORDINATOR_REFRESH_HOURS) {
+    return 24;
+  }
+  const hours = parseFloat(settings.COORDINATOR_REFRESH_HOURS);
+  if (isNaN(hours) || hours < 1) {
+    throw new Error('COORDINATOR_REFRESH_HOURS must be at least 1 hour');
+  }
+  return hours;
+}
+
+// Parse the RoboSats network offers are fetched from
+function parseNetwork() {
+  const network = (settings.ROBOSATS_NETWORK || 'mainnet').toLowerCase();
+  if (!NETWORKS.includes(network)) {
+    throw new Error(`Invalid ROBOSATS_NETWORK: ${network}. Must be ${NETWORKS.map(name => `'${name}'`).join(' or ')}`);
+  }
+  return network;
+}
+
+// Parse how offers are fetched: through the local RoboSats client ('local') or directly from
+// each coordinator's own API through a SOCKS5 proxy such as Tor ('tor')
+function parseFetchMode() {
+  const mode = (settings.ROBOSATS_FETCH_MODE || 'local').toLowerCase();
+  if (!FETCH_MODES.includes(mode)) {
+    throw new Error(`Invalid ROBOSATS_FETCH_MODE: ${mode}. Must be 'local' or 'tor'`);
+  }
+  return mode;
+}
+
+// Parse the SOCKS proxy used in 'tor' fetch mode (Tor's default SOCKS port when not set)
+function parseTorProxyUrl() {
+  const url = (settings.TOR_PROXY_URL || 'socks5h://127.0.0.1:9050').trim();
+  if (!/^socks(4a?|5h?):\/\/\S+$/i.test(url)) {
+    throw new Error(`Invalid TOR_PROXY_URL: ${url}. Must be a socks5h:// (or socks5://) URL, e.g. socks5h://127.0.0.1:9050`);
+  }
+  return url;
+}
+
+// Parse coordinator overrides - stored as an object in config.json, or as JSON in the COORDINATOR_OVERRIDES env var
+function parseCoordinatorOverrides() {
+  return normalizeOverrides(getStructuredSetting('COORDINATOR_OVERRIDES'));
+}
+
+// Parse offer filters - stored as an object in config.json, or as JSON in the OFFER_FILTERS env var
+function parseOfferFilters() {
+  return normalizeFilters(getStructuredSetting('OFFER_FILTERS'));
+}
+
+// Parse the home location for the geographic filter - stored as an object in config.json,
+// or as JSON in the HOME_LOCATION env var
+function parseHomeLocation() {
+  return normalizeHomeLocation(getStructuredSetting('HOME_LOCATION'));
+}
+
+// Validate and normalize price alert rules against the known currencies
+function normalizePriceAlerts(rawAlerts) {
+  return normalizeAlerts(rawAlerts, Object.keys(CURRENCY_MAP));
+}
+
+// Parse price alerts - stored as a list in config.json, or as JSON in the PRICE_ALERTS env var
+function parsePriceAlerts() {
+  return normalizePriceAlerts(getStructuredSetting('PRICE_ALERTS'));
+}
+
+// Turn a subscription name into a stable id ("ARS Group" -> "ars-group")
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'subscription';
+}
+
+// Validate and normalize a list of subscriptions (from config.json or the web UI)
+// Each subscription has its own currencies, filters, language and destination
+function normalizeSubscriptions(rawSubscriptions) {
+  if (rawSubscriptions === undefined || rawSubscriptions === null || rawSubscriptions === '') {
+    return [];
+  }
+  if (!Array.isArray(rawSubscriptions)) {
+    throw new Error('Subscriptions must be a list');
+  }
+  
+  const usedIds = new Set();
+  return rawSubscriptions.map((raw, index) => {
+    if (!raw || typeof raw !== 'object') {
+      throw new Error(`Subscription #${index + 1} must be an object`);
+    }
+    
+    const name = String(raw.name || '').trim();
+    if (!name) {
+      throw new Error(`Subscription #${index + 1} needs a name`);
+    }
+    
+    try {
+      // Keep existing ids stable so tracked message IDs stay attached to the right subscription
+      const baseId = slugify(raw.id || name);
+      let id = baseId;
+      for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${baseId}-${suffix}`;
+      }
+      usedIds.add(id);
+      
+      const currencies = parseCurrencyCodes(raw.currencies).map(c => c.code);
+      if (currencies.length === 0) {
+        throw new Error('select at least one currency');
+      }
+      
+      return {
+        id,
+        name,
+        enabled: raw.enabled !== false && raw.enabled !== 'false',
+        currencies,
+        filters: normalizeFilters(raw.filters),
+        language: parseLanguage(raw.language),
+        // Blank = the global MESSAGE_TEMPLATE (see getSubscriptions)
+        template: normalizeTemplate(raw.template),
+        destination: normalizeDestination(raw.destination)
+      };
+    } catch (error) {
+      throw new Error(`Subscription "${name}": ${error.message}`);
+    }
+  });
+}
+
+// Parse subscriptions - stored as a list in config.json, or as JSON in the SUBSCRIPTIONS env var
+function parseSubscriptions() {
+  return normalizeSubscriptions(getStructuredSetting('SUBSCRIPTIONS'));
+}
+
+// Subscriptions the check loop routes offers to
+// Without configured subscriptions, the flat notification settings act as a single default subscription
+function getSubscriptions() {
+  const config = module.exports;
+  if (config.SUBSCRIPTIONS.length > 0) {
+    return config.SUBSCRIPTIONS.map(subscription => subscription.template
+      ? subscription
+      : { ...subscription, template: config.MESSAGE_TEMPLATE });
+  }
+  
+  let destination;
+  if (config.NOTIFICATION_TYPE === 'contact') {
+    destination = { type: 'contact', countryCode: config.CONTACT_COUNTRY_CODE, phoneNumber: config.CONTACT_PHONE_NUMBER };
+  } else if (config.NOTIFICATION_TYPE === 'telegram') {
+    destination = { type: 'telegram', chatId: config.TELEGRAM_CHAT_ID };
+  } else {
+    destination = { type: 'group', groupName: config.WHATSAPP_GROUP_NAME };
+  }
+  
+  return [{
+    id: DEFAULT_SUBSCRIPTION_ID,
+    name: 'Default',
+    enabled: true,
+    currencies: config.TARGET_CURRENCIES.map(c => c.code),
+    filters: config.OFFER_FILTERS,
+    language: config.LANGUAGE,
+    template: config.MESSAGE_TEMPLATE,
+    destination
+  }];
+}
+
+// Union of currencies across enabled subscriptions and price alerts - these are the currencies fetched each cycle
+function getWatchedCurrencies() {
+  const codes = new Set();
+  getSubscriptions()
+    .filter(subscription => subscription.enabled)
+    .forEach(subscription => subscription.currencies.forEach(code => codes.add(code)));
+  (module.exports.PRICE_ALERTS || [])
+    .filter(rule => rule.enabled)
+    .forEach(rule => codes.add(rule.currency));
+  return parseCurrencyCodes([...codes]);
+}
+
+// Declared settings - the only keys read from config.json and the environment, and the only keys
+// the web UI can save (see settingsSchema for the field types)
+const SETTINGS_SCHEMA = {
+  WHATSAPP_GROUP_NAME: { type: 'string', maxLength: 200 },
+  NOTIFICATION_TYPE: { type: 'enum', values: NOTIFICATION_TYPES },
+  CONTACT_COUNTRY_CODE: { type: 'string', maxLength: 10 },
+  CONTACT_PHONE_NUMBER: { type: 'string', maxLength: 30 },
+  TELEGRAM_BOT_TOKEN: { type: 'string', maxLength: 200 },
+  TELEGRAM_API_URL: { type: 'url' },
+  TELEGRAM_CHAT_ID: { type: 'string', maxLength: 100 },
+  CHECK_INTERVAL_MINUTES: { type: 'integer', required: true, min: 5 },
+  ROBOSATS_USE_MOCK: { type: 'boolean' },
+  ROBOSATS_FETCH_MODE: { type: 'enum', values: FETCH_MODES },
+  ROBOSATS_API_URL: { type: 'url' },
+  TOR_PROXY_URL: {
+    type: 'string',
+    pattern: /^socks(4a?|5h?):\/\/\S+$/i,
+    patternMessage: 'must be a socks5h:// (or socks5://) URL, e.g. socks5h://127.0.0.1:9050'
+  },
+  ROBOSATS_COORDINATORS: { type: 'string' },
+  ROBOSATS_ONION_URL: { type: 'url' },
+  ROBOSATS_NETWORK: { type: 'enum', values: NETWORKS },
+  ROBOSATS_TESTNET_ONION_URL: { type: 'url' },
+  COORDINATOR_SOURCE: { type: 'string', normalize: normalizeCoordinatorSource },
+  COORDINATOR_REFRESH_HOURS: { type: 'number', min: 1 },
+  COORDINATOR_OVERRIDES: { type: 'structured', normalize: normalizeOverrides },
+  TARGET_CURRENCIES: { type: 'string', normalize: codes => parseCurrencyCodes(codes).map(c => c.code).join(',') },
+  LANGUAGE: { type: 'string', normalize: parseLanguage },
+  MESSAGE_TEMPLATE: { type: 'string', maxLength: MAX_TEMPLATE_LENGTH, normalize: normalizeTemplate },
+  BOT_ENABLED: { type: 'boolean' },
+  DELETE_INACTIVE_MESSAGES: { type: 'boolean' },
+  INACTIVE_MESSAGE_ACTION: { type: 'enum', values: INACTIVE_MESSAGE_ACTIONS },
+  UPDATE_CHANGED_OFFERS: { type: 'boolean' },
+  CHANGE_PREMIUM_THRESHOLD: { type: 'number', min: 0 },
+  CHANGE_PRICE_THRESHOLD_PERCENT: { type: 'number', min: 0 },
+  EXPIRY_REMINDER_MINUTES: { type: 'integer', min: 0 },
+  DEDUPE_OFFERS: { type: 'boolean' },
+  DIGEST_MODE: { type: 'enum', values: DIGEST_MODES },
+  DIGEST_HOUR: { type: 'integer', min: 0, max: 23 },
+  MARKET_PRICE_SOURCE: { type: 'enum', values: MARKET_PRICE_SOURCES },
+  MARKET_REPORT_MODE: { type: 'enum', values: MARKET_REPORT_MODES },
+  MARKET_REPORT_HOUR: { type: 'integer', min: 0, max: 23 },
+  OFFER_FILTERS: { type: 'structured', normalize: normalizeFilters },
+  HOME_LOCATION: { type: 'structured', normalize: raw => normalizeHomeLocation(raw) || {} },
+  NOTIFICATION_SCHEDULE: { type: 'structured', normalize: normalizeSchedule },
+  SUBSCRIPTIONS: { type: 'structured', normalize: normalizeSubscriptions },
+  PRICE_ALERTS: { type: 'structured', normalize: normalizePriceAlerts }
+};
+
+// Validate settings from the web UI against SETTINGS_SCHEMA - returns { values, errors }
+function validateSettingsInput(raw) {
+  return validateSettings(SETTINGS_SCHEMA, raw);
+}
+
 // Track if this is a first run (no config file existed at startup)
 let IS_FIRST_RUN = false;
 
+// Current settings: the declared keys from the environment, overridden by config.json
+// Settings are kept here rather than in process.env, so config.json can't set other environment
+// variables and an empty value in it clears the environment's value
+let settings = {};
+
 // Load configuration from JSON file if it exists, otherwise use env vars
 function loadConfig() {
   const configPath = getConfigPath();
   const configExists = fs.existsSync(configPath);
+  settings = pickSettings(SETTINGS_SCHEMA, process.env);
   
   if (configExists) {
     try {
-      const configData = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      // Override process.env with values from config file
-      Object.keys(configData).forEach(key => {
-        if (configData[key] !== undefined && configData[key] !== '') {
-          process.env[key] = configData[key];
-        }
-      });
+      const { config: configData, fromVersion, applied } = migrateConfig(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+      if (applied.length > 0) {
+        // Upgrade the file in place so the migrations only run once
+        fs.writeFileSync(configPath, JSON.stringify(configData, null, 2), 'utf8');
+        console.log(`Migrated config file from version ${fromVersion} to ${CONFIG_VERSION}: ${applied.join('; ')}`);
+      }
+      // Fields left empty in the settings form don't hide values set in the environment
+      const fileSettings = pickSettings(SETTINGS_SCHEMA, configData);
+      Object.keys(fileSettings)
+        .filter(key => fileSettings[key] === '' || fileSettings[key] === null)
+        .forEach(key => delete fileSettings[key]);
+      settings = { ...settings, ...fileSettings };
       return true;
     } catch (error) {
       console.error('Error loading config file:', error.message);
@@ -413,8 +830,8 @@ function loadConfig() {
     }
   }
   // First install - set bot to paused by default so user can configure settings
-  if (!process.env.BOT_ENABLED) {
-    process.env.BOT_ENABLED = 'false';
+  if (!settings.BOT_ENABLED) {
+    settings.BOT_ENABLED = 'false';
   }
   IS_FIRST_RUN = true;
   return false;
@@ -448,7 +865,10 @@ function saveConfig(configData) {
       fs.mkdirSync(configDir, { recursive: true });
     }
     
-    fs.writeFileSync(configPath, JSON.stringify(configData, null, 2), 'utf8');
+    // The version tells later releases which migrations the file still needs
+    const versionedData = { CONFIG_VERSION, ...configData };
+    versionedData.CONFIG_VERSION = CONFIG_VERSION;
+    fs.writeFileSync(configPath, JSON.stringify(versionedData, null, 2), 'utf8');
     // After first save, we're no longer in first-run state
     IS_FIRST_RUN = false;
   } catch (error) {
@@ -460,21 +880,66 @@ function saveConfig(configData) {
 // Load config from file on module load
 loadConfig();
 
+// Required settings (excluding notification-specific ones and TARGET_CURRENCIES which can be set via UI),
+// checked against the environment merged with config.json
+// The local RoboSats client URL is only needed when offers aren't fetched directly over Tor
+const requiredSettings = [
+  ...(String(settings.ROBOSATS_FETCH_MODE || '').toLowerCase() === 'tor' ? [] : ['ROBOSATS_API_URL']),
+  'ROBOSATS_COORDINATORS',
+  'ROBOSATS_ONION_URL'
+];
+
+const missingSettings = requiredSettings.filter(name => !settings[name]);
+if (missingSettings.length > 0 && process.env.ROBOSATS_USE_MOCK !== 'true') {
+  console.error('ERROR: Missing required settings:');
+  missingSettings.forEach(name => console.error(`  - ${name}`));
+  console.error('\nPlease set these variables in your .env file or in the web UI');
+  process.exit(1);
+}
+
 function getConfig() {
   return {
-    WHATSAPP_GROUP_NAME: process.env.WHATSAPP_GROUP_NAME,
-    NOTIFICATION_TYPE: process.env.NOTIFICATION_TYPE || 'group',
-    CONTACT_COUNTRY_CODE: process.env.CONTACT_COUNTRY_CODE,
-    CONTACT_PHONE_NUMBER: process.env.CONTACT_PHONE_NUMBER,
-    CHECK_INTERVAL_MINUTES: process.env.CHECK_INTERVAL_MINUTES,
-    ROBOSATS_USE_MOCK: process.env.ROBOSATS_USE_MOCK,
-    ROBOSATS_API_URL: process.env.ROBOSATS_API_URL,
-    ROBOSATS_COORDINATORS: process.env.ROBOSATS_COORDINATORS,
-    ROBOSATS_ONION_URL: process.env.ROBOSATS_ONION_URL,
-    TARGET_CURRENCIES: process.env.TARGET_CURRENCIES,
-    LANGUAGE: process.env.LANGUAGE,
-    BOT_ENABLED: process.env.BOT_ENABLED,
-    DELETE_INACTIVE_MESSAGES: process.env.DELETE_INACTIVE_MESSAGES,
+    WHATSAPP_GROUP_NAME: settings.WHATSAPP_GROUP_NAME,
+    NOTIFICATION_TYPE: settings.NOTIFICATION_TYPE || 'group',
+    CONTACT_COUNTRY_CODE: settings.CONTACT_COUNTRY_CODE,
+    CONTACT_PHONE_NUMBER: settings.CONTACT_PHONE_NUMBER,
+    TELEGRAM_BOT_TOKEN: settings.TELEGRAM_BOT_TOKEN,
+    TELEGRAM_API_URL: settings.TELEGRAM_API_URL,
+    TELEGRAM_CHAT_ID: settings.TELEGRAM_CHAT_ID,
+    CHECK_INTERVAL_MINUTES: settings.CHECK_INTERVAL_MINUTES,
+    ROBOSATS_USE_MOCK: settings.ROBOSATS_USE_MOCK,
+    ROBOSATS_FETCH_MODE: settings.ROBOSATS_FETCH_MODE || 'local',
+    ROBOSATS_API_URL: settings.ROBOSATS_API_URL,
+    TOR_PROXY_URL: settings.TOR_PROXY_URL,
+    ROBOSATS_COORDINATORS: settings.ROBOSATS_COORDINATORS,
+    ROBOSATS_ONION_URL: settings.ROBOSATS_ONION_URL,
+    ROBOSATS_NETWORK: settings.ROBOSATS_NETWORK || 'mainnet',
+    ROBOSATS_TESTNET_ONION_URL: settings.ROBOSATS_TESTNET_ONION_URL,
+    COORDINATOR_SOURCE: settings.COORDINATOR_SOURCE,
+    COORDINATOR_REFRESH_HOURS: settings.COORDINATOR_REFRESH_HOURS,
+    COORDINATOR_OVERRIDES: module.exports.COORDINATOR_OVERRIDES,
+    TARGET_CURRENCIES: settings.TARGET_CURRENCIES,
+    LANGUAGE: settings.LANGUAGE,
+    MESSAGE_TEMPLATE: settings.MESSAGE_TEMPLATE,
+    BOT_ENABLED: settings.BOT_ENABLED,
+    DELETE_INACTIVE_MESSAGES: settings.DELETE_INACTIVE_MESSAGES,
+    INACTIVE_MESSAGE_ACTION: settings.INACTIVE_MESSAGE_ACTION || 'delete',
+    UPDATE_CHANGED_OFFERS: settings.UPDATE_CHANGED_OFFERS,
+    CHANGE_PREMIUM_THRESHOLD: settings.CHANGE_PREMIUM_THRESHOLD,
+    CHANGE_PRICE_THRESHOLD_PERCENT: settings.CHANGE_PRICE_THRESHOLD_PERCENT,
+    EXPIRY_REMINDER_MINUTES: settings.EXPIRY_REMINDER_MINUTES,
+    DEDUPE_OFFERS: settings.DEDUPE_OFFERS,
+    DIGEST_MODE: settings.DIGEST_MODE || 'off',
+    DIGEST_HOUR: settings.DIGEST_HOUR,
+    MARKET_PRICE_SOURCE: settings.MARKET_PRICE_SOURCE || 'limits',
+    MARKET_REPORT_MODE: settings.MARKET_REPORT_MODE || 'off',
+    MARKET_REPORT_HOUR: settings.MARKET_REPORT_HOUR,
+    OFFER_FILTERS: module.exports.OFFER_FILTERS,
+    // Saved as {} when not set, so config.json still overrides HOME_LOCATION from the environment
+    HOME_LOCATION: module.exports.HOME_LOCATION || {},
+    NOTIFICATION_SCHEDULE: module.exports.NOTIFICATION_SCHEDULE,
+    SUBSCRIPTIONS: module.exports.SUBSCRIPTIONS,
+    PRICE_ALERTS: module.exports.PRICE_ALERTS,
     IS_FIRST_RUN: IS_FIRST_RUN
   };
 }
@@ -486,45 +951,93 @@ function reloadConfig() {
   
   // Update module.exports with new values
   const config = module.exports;
-  config.WHATSAPP_GROUP_NAME = process.env.WHATSAPP_GROUP_NAME;
-  config.NOTIFICATION_TYPE = process.env.NOTIFICATION_TYPE || 'group';
-  config.CONTACT_COUNTRY_CODE = process.env.CONTACT_COUNTRY_CODE;
-  config.CONTACT_PHONE_NUMBER = process.env.CONTACT_PHONE_NUMBER;
+  config.WHATSAPP_GROUP_NAME = settings.WHATSAPP_GROUP_NAME;
+  config.NOTIFICATION_TYPE = settings.NOTIFICATION_TYPE || 'group';
+  config.CONTACT_COUNTRY_CODE = settings.CONTACT_COUNTRY_CODE;
+  config.CONTACT_PHONE_NUMBER = settings.CONTACT_PHONE_NUMBER;
+  config.TELEGRAM_BOT_TOKEN = settings.TELEGRAM_BOT_TOKEN;
+  config.TELEGRAM_API_URL = settings.TELEGRAM_API_URL;
+  config.TELEGRAM_CHAT_ID = settings.TELEGRAM_CHAT_ID;
   config.CHECK_INTERVAL_MS = parseCheckInterval();
-  config.ROBOSATS_USE_MOCK = process.env.ROBOSATS_USE_MOCK === 'true';
-  config.ROBOSATS_API_URL = process.env.ROBOSATS_API_URL;
-  config.ROBOSATS_COORDINATORS = process.env.ROBOSATS_COORDINATORS;
-  config.ROBOSATS_ONION_URL = process.env.ROBOSATS_ONION_URL;
+  config.ROBOSATS_USE_MOCK = settings.ROBOSATS_USE_MOCK === 'true';
+  config.ROBOSATS_FETCH_MODE = parseFetchMode();
+  config.ROBOSATS_API_URL = settings.ROBOSATS_API_URL;
+  config.TOR_PROXY_URL = parseTorProxyUrl();
+  config.ROBOSATS_COORDINATORS = settings.ROBOSATS_COORDINATORS;
+  config.ROBOSATS_ONION_URL = settings.ROBOSATS_ONION_URL;
+  config.ROBOSATS_NETWORK = parseNetwork();
+  config.ROBOSATS_TESTNET_ONION_URL = settings.ROBOSATS_TESTNET_ONION_URL;
+  config.COORDINATOR_SOURCE = parseCoordinatorSource();
+  config.COORDINATOR_REFRESH_HOURS = parseCoordinatorRefreshHours();
+  config.COORDINATOR_OVERRIDES = parseCoordinatorOverrides();
   config.TARGET_CURRENCIES = parseTargetCurrencies();
   config.LANGUAGE = parseLanguage();
+  config.MESSAGE_TEMPLATE = normalizeTemplate(settings.MESSAGE_TEMPLATE);
   config.LOG_LEVEL = process.env.LOG_LEVEL || 'info';
-  config.BOT_ENABLED = process.env.BOT_ENABLED !== 'false'; // Default to true
-  config.DELETE_INACTIVE_MESSAGES = process.env.DELETE_INACTIVE_MESSAGES === 'true';
+  config.BOT_ENABLED = settings.BOT_ENABLED !== 'false'; // Default to true
+  config.DELETE_INACTIVE_MESSAGES = settings.DELETE_INACTIVE_MESSAGES === 'true';
+  config.INACTIVE_MESSAGE_ACTION = parseInactiveMessageAction();
+  config.UPDATE_CHANGED_OFFERS = settings.UPDATE_CHANGED_OFFERS === 'true';
+  config.CHANGE_PREMIUM_THRESHOLD = parseThreshold('CHANGE_PREMIUM_THRESHOLD', 0.5);
+  config.CHANGE_PRICE_THRESHOLD_PERCENT = parseThreshold('CHANGE_PRICE_THRESHOLD_PERCENT', 2);
+  config.EXPIRY_REMINDER_MINUTES = parseExpiryReminderMinutes();
+  config.DEDUPE_OFFERS = settings.DEDUPE_OFFERS === 'true';
+  config.DIGEST_MODE = parseDigestMode();
+  config.DIGEST_HOUR = parseDigestHour();
+  config.MARKET_PRICE_SOURCE = parseMarketPriceSource();
+  config.MARKET_REPORT_MODE = parseMarketReportMode();
+  config.MARKET_REPORT_HOUR = parseMarketReportHour();
+  config.OFFER_FILTERS = parseOfferFilters();
+  config.HOME_LOCATION = parseHomeLocation();
+  config.NOTIFICATION_SCHEDULE = parseNotificationSchedule();
+  config.SUBSCRIPTIONS = parseSubscriptions();
+  config.PRICE_ALERTS = parsePriceAlerts();
   
   // Emit config change event
   configEmitter.emit('configChanged');
 }
 
 module.exports = {
-  WHATSAPP_GROUP_NAME: process.env.WHATSAPP_GROUP_NAME,
+  WHATSAPP_GROUP_NAME: settings.WHATSAPP_GROUP_NAME,
   
   // Notification type configuration
-  NOTIFICATION_TYPE: process.env.NOTIFICATION_TYPE || 'group', // 'group' or 'contact'
-  CONTACT_COUNTRY_CODE: process.env.CONTACT_COUNTRY_CODE,
-  CONTACT_PHONE_NUMBER: process.env.CONTACT_PHONE_NUMBER,
+  NOTIFICATION_TYPE: settings.NOTIFICATION_TYPE || 'group', // 'group', 'contact' or 'telegram'
+  CONTACT_COUNTRY_CODE: settings.CONTACT_COUNTRY_CODE,
+  CONTACT_PHONE_NUMBER: settings.CONTACT_PHONE_NUMBER,
+  
+  // Telegram Bot API configuration (API URL can point to a self-hosted Bot API server)
+  TELEGRAM_BOT_TOKEN: settings.TELEGRAM_BOT_TOKEN,
+  TELEGRAM_API_URL: settings.TELEGRAM_API_URL,
+  TELEGRAM_CHAT_ID: settings.TELEGRAM_CHAT_ID,
   
   CHECK_INTERVAL_MS: parseCheckInterval(),
   
   // Robosats API Configuration
-  ROBOSATS_USE_MOCK: process.env.ROBOSATS_USE_MOCK === 'true',
-  ROBOSATS_API_URL: process.env.ROBOSATS_API_URL,
-  ROBOSATS_COORDINATORS: process.env.ROBOSATS_COORDINATORS,
-  ROBOSATS_ONION_URL: process.env.ROBOSATS_ONION_URL,
+  ROBOSATS_USE_MOCK: settings.ROBOSATS_USE_MOCK === 'true',
+  ROBOSATS_API_URL: settings.ROBOSATS_API_URL,
+  
+  // Fetch offers through the local RoboSats client at ROBOSATS_API_URL ('local'), or directly from
+  // each coordinator's onion (or clearnet) API through the SOCKS5 proxy at TOR_PROXY_URL ('tor')
+  ROBOSATS_FETCH_MODE: parseFetchMode(),
+  TOR_PROXY_URL: parseTorProxyUrl(),
+  
+  ROBOSATS_COORDINATORS: settings.ROBOSATS_COORDINATORS,
+  ROBOSATS_ONION_URL: settings.ROBOSATS_ONION_URL,
+  
+  // Network offers are fetched from ('mainnet' or 'testnet') - testnet offers link to the
+  // RoboSats client at ROBOSATS_TESTNET_ONION_URL (or ROBOSATS_ONION_URL when not set)
+  ROBOSATS_NETWORK: parseNetwork(),
+  ROBOSATS_TESTNET_ONION_URL: settings.ROBOSATS_TESTNET_ONION_URL,
+  
+  // Coordinator discovery: federation list source (URL or local federation.json), how often
+  // it is reloaded, and manual overrides (added, renamed or hidden coordinators)
+  COORDINATOR_SOURCE: parseCoordinatorSource(),
+  COORDINATOR_REFRESH_HOURS: parseCoordinatorRefreshHours(),
+  COORDINATOR_OVERRIDES: parseCoordinatorOverrides(),
   
-  AVAILABLE_COORDINATORS,
   CURRENCY_MAP,
-  COORDINATOR_MAP,
   COUNTRY_CODES,
+  SETTINGS_SCHEMA,
   
   // Target currencies configuration
   TARGET_CURRENCIES: parseTargetCurrencies(),
@@ -532,27 +1045,90 @@ module.exports = {
   // Language configuration
   LANGUAGE: parseLanguage(),
   
+  // Offer message template (see messageTemplate.js) - '' uses the built-in layout
+  MESSAGE_TEMPLATE: normalizeTemplate(settings.MESSAGE_TEMPLATE),
+  
   // Bot enabled/disabled state
-  BOT_ENABLED: process.env.BOT_ENABLED !== 'false', // Default to true
+  BOT_ENABLED: settings.BOT_ENABLED !== 'false', // Default to true
   
   // Auto-delete inactive messages
-  DELETE_INACTIVE_MESSAGES: process.env.DELETE_INACTIVE_MESSAGES === 'true',
+  DELETE_INACTIVE_MESSAGES: settings.DELETE_INACTIVE_MESSAGES === 'true',
+  
+  // What to do with messages for inactive offers: 'delete' them or 'mark' them as taken/expired
+  INACTIVE_MESSAGE_ACTION: parseInactiveMessageAction(),
+  
+  // Update messages when a tracked offer changes - premium moves are measured in percentage
+  // points, price moves in percent; amount and payment method changes always count
+  UPDATE_CHANGED_OFFERS: settings.UPDATE_CHANGED_OFFERS === 'true',
+  CHANGE_PREMIUM_THRESHOLD: parseThreshold('CHANGE_PREMIUM_THRESHOLD', 0.5),
+  CHANGE_PRICE_THRESHOLD_PERCENT: parseThreshold('CHANGE_PRICE_THRESHOLD_PERCENT', 2),
+  
+  // Reply to an offer's message when it is this many minutes from expiring and still open (0 = off)
+  EXPIRY_REMINDER_MINUTES: parseExpiryReminderMinutes(),
+  
+  // Send the same maker's identical offers on several coordinators as one message
+  DEDUPE_OFFERS: settings.DEDUPE_OFFERS === 'true',
   
-  DATA_DIR: './data',
+  // Batch new offers into one digest message per check ('cycle') or on a schedule ('hourly', 'daily')
+  // instead of one message per offer ('off')
+  DIGEST_MODE: parseDigestMode(),
+  DIGEST_HOUR: parseDigestHour(),
+  
+  // Market reference shown with each offer next to its rank in the book: the index price from the
+  // coordinators' /api/limits/ ('limits'), the 24h average premium from /api/info/ ('info'), or none ('off')
+  MARKET_PRICE_SOURCE: parseMarketPriceSource(),
+  
+  // Market report (best premiums per coordinator, spread and offer counts per currency) posted
+  // to every subscription 'hourly' or 'daily' at MARKET_REPORT_HOUR, or never ('off')
+  MARKET_REPORT_MODE: parseMarketReportMode(),
+  MARKET_REPORT_HOUR: parseMarketReportHour(),
+  
+  // Offer filters (side, premium, amounts, payment methods, coordinators)
+  OFFER_FILTERS: parseOfferFilters(),
+  
+  // Home location and radius for in-person offers (null = no geographic filter)
+  HOME_LOCATION: parseHomeLocation(),
+  
+  // Weekly schedule of active windows - notifications are held during quiet hours
+  NOTIFICATION_SCHEDULE: parseNotificationSchedule(),
+  
+  // Named subscriptions (each with its own currencies, filters, language and destination)
+  SUBSCRIPTIONS: parseSubscriptions(),
+  DEFAULT_SUBSCRIPTION_ID,
+  
+  // Price alert rules evaluated against the whole order book each check
+  PRICE_ALERTS: parsePriceAlerts(),
+  
+  DATA_DIR,
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   
+  // Password-protect the web UI and REST API (opt-in with WEB_AUTH=true) - environment only, so it
+  // can't be turned off from the web UI
+  WEB_AUTH: process.env.WEB_AUTH === 'true',
+  
   // Configuration management functions
   loadConfig,
   saveConfig,
   getConfig,
   reloadConfig,
-  validateNotificationConfig,
+  normalizeSubscriptions,
+  normalizePriceAlerts,
+  normalizeDestination,
+  normalizeCoordinatorSource,
+  validateSettings: validateSettingsInput,
+  getSubscriptions,
+  validateSubscription,
   
   // First-run detection
   get IS_FIRST_RUN() {
     return IS_FIRST_RUN;
   },
   
+  // Currencies fetched each cycle (union of all enabled subscriptions)
+  get WATCHED_CURRENCIES() {
+    return getWatchedCurrencies();
+  },
+  
   // Event emitter for config changes
   configEmitter
 };
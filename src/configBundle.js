@@ -0,0 +1,232 @@
+// Versioned config.json and backup bundles.
+// config.json carries CONFIG_VERSION; files written before versions existed are version 0. Each
+// migration upgrades a config from the previous version, so any older file (or the settings of an
+// older bundle) is brought up to date by running the chain from its version.
+
+const { uiError } = require('./i18n');
+
+// Structured settings that older web UIs saved as JSON strings
+const STRUCTURED_KEYS = ['OFFER_FILTERS', 'NOTIFICATION_SCHEDULE', 'COORDINATOR_OVERRIDES', 'SUBSCRIPTIONS', 'PRICE_ALERTS', 'HOME_LOCATION'];
+
+const CONFIG_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Drop the first-run flag saved with the settings',
+    migrate: settings => {
+      delete settings.IS_FIRST_RUN;
+    }
+  },
+  {
+    version: 2,
+    description: 'Store structured settings as objects instead of JSON strings',
+    migrate: settings => {
+      STRUCTURED_KEYS
+        .filter(key => typeof settings[key] === 'string')
+        .forEach(key => {
+          if (settings[key] === '' || settings[key] === 'null') {
+            delete settings[key];
+            return;
+          }
+          try {
+            settings[key] = JSON.parse(settings[key]);
+          } catch (error) {
+            // Left as is - loading reports the invalid value
+          }
+        });
+    }
+  }
+];
+
+const CONFIG_VERSION = CONFIG_MIGRATIONS[CONFIG_MIGRATIONS.length - 1].version;
+
+// Bring a config object up to CONFIG_VERSION
+// Returns { config, fromVersion, applied } - applied lists the descriptions of the migrations that ran
+function migrateConfig(raw) {
+  const config = JSON.parse(JSON.stringify(raw || {}));
+  const fromVersion = parseInt(config.CONFIG_VERSION) || 0;
+  if (fromVersion > CONFIG_VERSION) {
+    throw uiError('settings.configVersionTooNew', { version: fromVersion, supported: CONFIG_VERSION });
+  }
+  const applied = CONFIG_MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .map(migration => {
+      migration.migrate(config);
+      return migration.description;
+    });
+  config.CONFIG_VERSION = CONFIG_VERSION;
+  return { config, fromVersion, applied };
+}
+
+// Backup bundle: { format, version, configVersion, exportedAt, appVersion, redacted, settings, seenOffers }
+// seenOffers is the offer tracker's { version, offers } state, upgraded by its own migration chain
+const BUNDLE_FORMAT = 'robosats-notifier-backup';
+
+// Upgrades of the bundle envelope itself (settings are upgraded by the config migrations)
+const BUNDLE_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Record the version of the seen offers',
+    migrate: bundle => (bundle.seenOffers
+      ? { ...bundle, seenOffers: { version: 0, offers: bundle.seenOffers } }
+      : bundle)
+  }
+];
+
+const BUNDLE_VERSION = 1 + BUNDLE_MIGRATIONS.length;
+
+// Blank the contact phone numbers (the flat setting and contact subscriptions)
+function redactPhoneNumbers(settings) {
+  const redacted = { ...settings };
+  if (redacted.CONTACT_PHONE_NUMBER) {
+    redacted.CONTACT_PHONE_NUMBER = '';
+  }
+  if (Array.isArray(redacted.SUBSCRIPTIONS)) {
+    redacted.SUBSCRIPTIONS = redacted.SUBSCRIPTIONS.map(subscription =>
+      subscription.destination && subscription.destination.type === 'contact'
+        ? { ...subscription, destination: { ...subscription.destination, phoneNumber: '' } }
+        : subscription);
+  }
+  return redacted;
+}
+
+// Fill the phone numbers blanked by redactPhoneNumbers from the current settings (the flat setting,
+// and contact subscriptions matched by ID), so a redacted backup can be restored on the same install
+function restorePhoneNumbers(settings, current) {
+  const restored = { ...settings };
+  if (!restored.CONTACT_PHONE_NUMBER && current.CONTACT_PHONE_NUMBER) {
+    restored.CONTACT_PHONE_NUMBER = current.CONTACT_PHONE_NUMBER;
+  }
+  if (Array.isArray(restored.SUBSCRIPTIONS)) {
+    const currentSubscriptions = Array.isArray(current.SUBSCRIPTIONS) ? current.SUBSCRIPTIONS : [];
+    restored.SUBSCRIPTIONS = restored.SUBSCRIPTIONS.map(subscription => {
+      const destination = subscription.destination;
+      if (!destination || destination.type !== 'contact' || destination.phoneNumber) {
+        return subscription;
+      }
+      const match = currentSubscriptions.find(candidate => candidate.id === subscription.id
+        && candidate.destination && candidate.destination.type === 'contact' && candidate.destination.phoneNumber);
+      return match
+        ? { ...subscription, destination: { ...destination, phoneNumber: match.destination.phoneNumber } }
+        : subscription;
+    });
+  }
+  return restored;
+}
+
+// Blank the credentials (the Telegram bot token and the webhook secrets of webhook subscriptions)
+function redactSecrets(settings) {
+  const redacted = { ...settings };
+  if (redacted.TELEGRAM_BOT_TOKEN) {
+    redacted.TELEGRAM_BOT_TOKEN = '';
+  }
+  if (Array.isArray(redacted.SUBSCRIPTIONS)) {
+    redacted.SUBSCRIPTIONS = redacted.SUBSCRIPTIONS.map(subscription =>
+      subscription.destination && subscription.destination.type === 'webhook'
+        ? { ...subscription, destination: { ...subscription.destination, secret: '' } }
+        : subscription);
+  }
+  return redacted;
+}
+
+// Fill the credentials blanked by redactSecrets from the current settings (the bot token, and
+// webhook subscriptions matched by ID), so a backup without secrets can be restored on the same install
+function restoreSecrets(settings, current) {
+  const restored = { ...settings };
+  if (!restored.TELEGRAM_BOT_TOKEN && current.TELEGRAM_BOT_TOKEN) {
+    restored.TELEGRAM_BOT_TOKEN = current.TELEGRAM_BOT_TOKEN;
+  }
+  if (Array.isArray(restored.SUBSCRIPTIONS)) {
+    const currentSubscriptions = Array.isArray(current.SUBSCRIPTIONS) ? current.SUBSCRIPTIONS : [];
+    restored.SUBSCRIPTIONS = restored.SUBSCRIPTIONS.map(subscription => {
+      const destination = subscription.destination;
+      if (!destination || destination.type !== 'webhook' || destination.secret) {
+        return subscription;
+      }
+      const match = currentSubscriptions.find(candidate => candidate.id === subscription.id
+        && candidate.destination && candidate.destination.type === 'webhook' && candidate.destination.secret);
+      return match
+        ? { ...subscription, destination: { ...destination, secret: match.destination.secret } }
+        : subscription;
+    });
+  }
+  return restored;
+}
+
+// seenOffers: the offer tracker's state, or null to leave it out
+// Credentials are left out unless includeSecrets is set
+function createBundle({ settings, seenOffers = null, redactPhones = false, includeSecrets = false, appVersion = null }) {
+  const redacted = [];
+  let bundleSettings = settings;
+  if (redactPhones) {
+    redacted.push('phoneNumbers');
+    bundleSettings = redactPhoneNumbers(bundleSettings);
+  }
+  if (!includeSecrets) {
+    redacted.push('secrets');
+    bundleSettings = redactSecrets(bundleSettings);
+  }
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    configVersion: CONFIG_VERSION,
+    exportedAt: new Date().toISOString(),
+    appVersion,
+    redacted,
+    settings: bundleSettings
+  };
+  if (seenOffers) {
+    bundle.seenOffers = seenOffers;
+  }
+  return bundle;
+}
+
+// Check and upgrade an imported bundle - returns { settings, seenOffers, redacted, applied }
+// The seen offers keep their own version and are upgraded by the offer tracker when imported
+function readBundle(raw) {
+  if (!raw || typeof raw !== 'object' || raw.format !== BUNDLE_FORMAT) {
+    throw uiError('backup.notABackup');
+  }
+  const version = parseInt(raw.version) || 0;
+  if (version < 1 || version > BUNDLE_VERSION) {
+    throw uiError('backup.unsupportedVersion', { version: raw.version, supported: BUNDLE_VERSION });
+  }
+  if (!raw.settings || typeof raw.settings !== 'object' || Array.isArray(raw.settings)) {
+    throw uiError('backup.noSettings');
+  }
+  if (raw.seenOffers !== undefined && raw.seenOffers !== null && typeof raw.seenOffers !== 'object') {
+    throw uiError('backup.invalidSeenOffers');
+  }
+
+  let bundle = raw;
+  const bundleApplied = BUNDLE_MIGRATIONS
+    .filter(migration => migration.version > version)
+    .map(migration => {
+      bundle = migration.migrate(bundle);
+      return migration.description;
+    });
+  if (bundle.seenOffers && (typeof bundle.seenOffers.version !== 'number' || typeof bundle.seenOffers.offers !== 'object')) {
+    throw uiError('backup.invalidSeenOffers');
+  }
+
+  const { config: settings, applied: configApplied } = migrateConfig({ ...bundle.settings, CONFIG_VERSION: bundle.configVersion });
+  delete settings.CONFIG_VERSION;
+  return {
+    settings,
+    seenOffers: bundle.seenOffers || null,
+    redacted: Array.isArray(bundle.redacted) ? bundle.redacted : [],
+    applied: [...bundleApplied, ...configApplied]
+  };
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  migrateConfig,
+  redactPhoneNumbers,
+  restorePhoneNumbers,
+  redactSecrets,
+  restoreSecrets,
+  createBundle,
+  readBundle
+};
@@ -0,0 +1,148 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const { parseFederation, getBuiltinCoordinators, mergeCoordinators, servesNetwork } = require('./federation');
+
+// Delay before a failed federation source is tried again
+const FAILED_RETRY_DELAY_MS = 30 * 60 * 1000;
+
+// Coordinators that only exist for testing - shown by name but never listed
+const TEST_COORDINATORS = {
+  'mock': 'Mock'
+};
+
+// Parse a local federation file - the parser's message quotes the file content, which must not
+// end up in the status shown by the web UI
+function parseFile(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error('Federation file is not valid JSON');
+  }
+}
+
+// Coordinator list discovered from the configured federation source (a URL or a local
+// federation.json), cached under the data directory so it survives restarts and source outages
+class CoordinatorDirectory {
+  constructor() {
+    this.cacheFile = path.join(config.DATA_DIR, 'coordinators.json');
+    this.cache = null; // { source, fetchedAt, coordinators }
+    this.lastError = null;
+    this.refreshPromise = null;
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(config.DATA_DIR, { recursive: true });
+      this.cache = JSON.parse(await fs.readFile(this.cacheFile, 'utf-8'));
+      logger.info(`Loaded ${this.cache.coordinators.length} coordinator(s) from the federation cache`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable coordinator cache: ${error.message}`);
+      }
+      this.cache = null;
+    }
+    await this.refreshIfStale();
+  }
+
+  async save() {
+    await fs.writeFile(this.cacheFile, JSON.stringify(this.cache, null, 2), 'utf-8');
+  }
+
+  // The cache only counts for the source it was loaded from
+  get isCacheCurrent() {
+    return Boolean(this.cache && config.COORDINATOR_SOURCE && this.cache.source === config.COORDINATOR_SOURCE);
+  }
+
+  async refreshIfStale() {
+    if (!config.COORDINATOR_SOURCE) return;
+    const maxAge = config.COORDINATOR_REFRESH_HOURS * 60 * 60 * 1000;
+    if (this.isCacheCurrent && Date.now() - this.cache.fetchedAt < maxAge) return;
+    // Don't hit a failing source on every check
+    const failed = this.lastError && this.lastError.source === config.COORDINATOR_SOURCE;
+    if (failed && Date.now() - this.lastError.at < FAILED_RETRY_DELAY_MS) return;
+    try {
+      await this.refresh();
+    } catch (error) {
+      // Logged by refresh - keep using the cached or built-in list
+    }
+  }
+
+  // Load the federation list from the configured source - throws when it can't be loaded
+  async refresh() {
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+    this.refreshPromise = this.load(config.COORDINATOR_SOURCE).finally(() => {
+      this.refreshPromise = null;
+    });
+    return this.refreshPromise;
+  }
+
+  async load(source) {
+    if (!source) {
+      throw new Error('No coordinator source configured');
+    }
+    try {
+      try {
+        config.normalizeCoordinatorSource(source);
+      } catch (error) {
+        throw new Error(`Coordinator source ${error.message}`);
+      }
+      const data = /^https?:\/\//i.test(source)
+        ? (await axios.get(source, { timeout: 15000, headers: { 'Accept': 'application/json' } })).data
+        : parseFile(await fs.readFile(source, 'utf-8'));
+      const coordinators = parseFederation(data);
+      this.cache = { source, fetchedAt: Date.now(), coordinators };
+      this.lastError = null;
+      await this.save();
+      logger.info(`Discovered ${coordinators.length} coordinator(s) from ${source}`);
+      return coordinators;
+    } catch (error) {
+      this.lastError = { message: error.message, at: Date.now(), source };
+      logger.warn(`Failed to load coordinators from ${source}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Federation (or built-in) coordinators on the configured network, with the manual overrides applied
+  getAll() {
+    const coordinators = this.isCacheCurrent ? this.cache.coordinators : getBuiltinCoordinators();
+    return mergeCoordinators(coordinators, config.COORDINATOR_OVERRIDES)
+      .filter(coordinator => servesNetwork(coordinator, config.ROBOSATS_NETWORK));
+  }
+
+  getIds() {
+    return this.getAll().map(coordinator => coordinator.id);
+  }
+
+  // Coordinators checked each cycle - ROBOSATS_COORDINATORS=all follows the discovered list
+  getMonitoredIds() {
+    if (config.ROBOSATS_COORDINATORS === 'all') {
+      return this.getIds();
+    }
+    return String(config.ROBOSATS_COORDINATORS || '').split(',').map(c => c.trim()).filter(c => c);
+  }
+
+  get(id) {
+    return this.getAll().find(coordinator => coordinator.id === id) || null;
+  }
+
+  getName(id) {
+    const coordinator = this.get(id);
+    return coordinator ? coordinator.name : (TEST_COORDINATORS[id] || id);
+  }
+
+  getStatus() {
+    return {
+      source: config.COORDINATOR_SOURCE || null,
+      fetchedAt: this.isCacheCurrent ? this.cache.fetchedAt : null,
+      lastError: this.lastError ? this.lastError.message : null,
+      count: this.getAll().length
+    };
+  }
+}
+
+module.exports = new CoordinatorDirectory();
@@ -0,0 +1,147 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+// Consecutive failures before a coordinator is skipped
+const FAILURE_THRESHOLD = 3;
+
+// Cool-off before a skipped coordinator is probed again - doubles after every failed probe
+const BASE_COOL_OFF_MS = 5 * 60 * 1000;
+const MAX_COOL_OFF_MS = 6 * 60 * 60 * 1000;
+
+// Requests kept per coordinator for the success rate and latency
+const HISTORY_SIZE = 20;
+
+function createEntry() {
+  return {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    lastSeenAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    lastLatencyMs: null,
+    coolOffMs: 0,
+    openUntil: null,
+    history: [] // [{ at, ok, durationMs }]
+  };
+}
+
+// Per-coordinator request history with a circuit breaker
+// After FAILURE_THRESHOLD consecutive failures the circuit opens and the coordinator is skipped
+// until its cool-off ends; the next check then probes it once - a success closes the circuit,
+// a failure opens it again for twice as long
+class CoordinatorHealth {
+  constructor() {
+    this.dataFile = path.join(config.DATA_DIR, 'coordinator_health.json');
+    this.coordinators = {}; // coordinator -> entry
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(config.DATA_DIR, { recursive: true });
+      this.coordinators = JSON.parse(await fs.readFile(this.dataFile, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async save() {
+    await fs.writeFile(this.dataFile, JSON.stringify(this.coordinators, null, 2), 'utf-8');
+  }
+
+  getEntry(coordinator) {
+    if (!this.coordinators[coordinator]) {
+      this.coordinators[coordinator] = createEntry();
+    }
+    return this.coordinators[coordinator];
+  }
+
+  addHistory(entry, ok, durationMs) {
+    entry.history.push({ at: Date.now(), ok, durationMs });
+    if (entry.history.length > HISTORY_SIZE) {
+      entry.history.splice(0, entry.history.length - HISTORY_SIZE);
+    }
+  }
+
+  // Whether a coordinator should be fetched this cycle (circuit closed, or cool-off over and due a probe)
+  shouldFetch(coordinator) {
+    const entry = this.coordinators[coordinator];
+    return !entry || !entry.openUntil || entry.openUntil <= Date.now();
+  }
+
+  recordSuccess(coordinator, durationMs) {
+    const entry = this.getEntry(coordinator);
+    if (entry.openUntil) {
+      logger.info(`Coordinator ${coordinator} is reachable again - resuming requests`);
+    }
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+    entry.lastSeenAt = Date.now();
+    entry.lastLatencyMs = durationMs;
+    entry.coolOffMs = 0;
+    entry.openUntil = null;
+    this.addHistory(entry, true, durationMs);
+  }
+
+  recordFailure(coordinator, durationMs, error) {
+    const entry = this.getEntry(coordinator);
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastFailureAt = Date.now();
+    entry.lastError = error;
+    this.addHistory(entry, false, durationMs);
+
+    if (entry.consecutiveFailures >= FAILURE_THRESHOLD) {
+      // A failed probe doubles the cool-off
+      entry.coolOffMs = entry.openUntil
+        ? Math.min(entry.coolOffMs * 2, MAX_COOL_OFF_MS)
+        : BASE_COOL_OFF_MS;
+      entry.openUntil = Date.now() + entry.coolOffMs;
+      logger.warn(`Coordinator ${coordinator} failed ${entry.consecutiveFailures} times in a row - skipping it for ${Math.round(entry.coolOffMs / 60000)} minute(s)`);
+    }
+  }
+
+  // End a skipped coordinator's cool-off so the next check probes it
+  async probeNow(coordinator) {
+    const entry = this.coordinators[coordinator];
+    if (!entry || !entry.openUntil) return false;
+    entry.openUntil = Date.now();
+    await this.save();
+    return true;
+  }
+
+  // 'healthy', 'degraded' (recent failures), 'open' (skipped until openUntil) or 'probing' (probed next check)
+  getState(entry) {
+    if (entry.openUntil) {
+      return entry.openUntil > Date.now() ? 'open' : 'probing';
+    }
+    return entry.consecutiveFailures > 0 ? 'degraded' : 'healthy';
+  }
+
+  getHealth(coordinator) {
+    const entry = this.coordinators[coordinator];
+    if (!entry) return null;
+    const successful = entry.history.filter(item => item.ok);
+    return {
+      state: this.getState(entry),
+      successes: entry.successes,
+      failures: entry.failures,
+      consecutiveFailures: entry.consecutiveFailures,
+      successRate: entry.history.length > 0 ? successful.length / entry.history.length : null,
+      averageLatencyMs: successful.length > 0
+        ? Math.round(successful.reduce((sum, item) => sum + item.durationMs, 0) / successful.length)
+        : null,
+      lastLatencyMs: entry.lastLatencyMs,
+      lastSeenAt: entry.lastSeenAt,
+      lastFailureAt: entry.lastFailureAt,
+      lastError: entry.lastError,
+      openUntil: entry.openUntil
+    };
+  }
+}
+
+module.exports = new CoordinatorHealth();
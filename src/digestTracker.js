@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const { getOfferKey } = require('./offerTracker');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Next time a scheduled digest is due: the next full hour, or the next DIGEST_HOUR:00 (local time)
+// (the market report passes its own hour)
+function getNextDigestTime(mode, from = Date.now(), hour = config.DIGEST_HOUR) {
+  const next = new Date(from);
+  next.setMinutes(0, 0, 0);
+  if (mode === 'hourly') {
+    return next.getTime() + HOUR_MS;
+  }
+  next.setHours(hour);
+  if (next.getTime() <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+class DigestTracker {
+  constructor() {
+    this.dataFile = path.join(config.DATA_DIR, 'digests.json');
+    this.pending = {}; // subscriptionId -> { offerKeys, dueAt } (offers held for a scheduled digest or quiet hours)
+    this.digests = {}; // messageRef -> { subscriptionId, transport, sentAt, offers: { [offerKey]: snapshot }, inactive: { [offerKey]: status }, changes: { [offerKey]: changes } }
+    this.maxAge = 7 * 24 * HOUR_MS; // Digests older than this are no longer updated
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(config.DATA_DIR, { recursive: true });
+      const data = JSON.parse(await fs.readFile(this.dataFile, 'utf-8'));
+      this.pending = data.pending || {};
+      this.digests = data.digests || {};
+      logger.info(`Loaded ${Object.keys(this.digests).length} digest message(s)`);
+      await this.cleanup();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async save() {
+    const data = JSON.stringify({ pending: this.pending, digests: this.digests }, null, 2);
+    await fs.writeFile(this.dataFile, data, 'utf-8');
+  }
+
+  async cleanup() {
+    const cutoff = Date.now() - this.maxAge;
+    const expired = Object.keys(this.digests).filter(ref => this.digests[ref].sentAt <= cutoff);
+    if (expired.length > 0) {
+      expired.forEach(ref => delete this.digests[ref]);
+      await this.save();
+    }
+  }
+
+  // Queue offers for a subscription's next digest - dueAt only applies to a new queue
+  async queue(subscriptionId, offerKeys, dueAt) {
+    const pending = this.pending[subscriptionId] || { offerKeys: [], dueAt };
+    offerKeys.forEach(offerKey => {
+      if (!pending.offerKeys.includes(offerKey)) {
+        pending.offerKeys.push(offerKey);
+      }
+    });
+    this.pending[subscriptionId] = pending;
+    await this.save();
+  }
+
+  getPending(subscriptionId) {
+    return this.pending[subscriptionId] || null;
+  }
+
+  async clearPending(subscriptionId) {
+    delete this.pending[subscriptionId];
+    await this.save();
+  }
+
+  async addDigest(messageRef, subscriptionId, transport, snapshots) {
+    const offers = {};
+    snapshots.forEach(snapshot => {
+      offers[getOfferKey(snapshot)] = snapshot;
+    });
+    this.digests[messageRef] = { subscriptionId, transport, sentAt: Date.now(), offers, inactive: {}, changes: {} };
+    await this.save();
+  }
+
+  getDigest(messageRef) {
+    return this.digests[messageRef] || null;
+  }
+
+  async updateOffer(messageRef, snapshot, changes) {
+    const digest = this.digests[messageRef];
+    if (!digest) return;
+    const offerKey = getOfferKey(snapshot);
+    digest.offers[offerKey] = snapshot;
+    digest.changes[offerKey] = changes;
+    await this.save();
+  }
+
+  async markInactive(messageRef, offerKey, status) {
+    const digest = this.digests[messageRef];
+    if (!digest) return;
+    digest.inactive[offerKey] = status;
+    await this.save();
+  }
+
+  // Offers in a digest that are still in the order book
+  countActive(messageRef) {
+    const digest = this.digests[messageRef];
+    if (!digest) return 0;
+    return Object.keys(digest.offers).filter(offerKey => !digest.inactive[offerKey]).length;
+  }
+
+  async removeDigest(messageRef) {
+    delete this.digests[messageRef];
+    await this.save();
+  }
+
+  async clearAll() {
+    this.pending = {};
+    this.digests = {};
+    await this.save();
+  }
+}
+
+module.exports = new DigestTracker();
+module.exports.getNextDigestTime = getNextDigestTime;
@@ -0,0 +1,174 @@
+// RoboSats federation: the coordinators offers are fetched from.
+// Coordinators come from a federation list (RoboSats' federation.json shape) merged with
+// manual overrides; the built-in list is used until a federation list has been loaded.
+
+// Built-in coordinator list (ID -> Display Name) - fallback when no federation source is configured
+const BUILTIN_COORDINATORS = {
+  'alice': 'Alice',
+  'whiteyesats': 'WhitEyeSats',
+  'freedomsats': 'FreedomSats',
+  'bazaar': 'LibreBazaar',
+  'moon': 'Over the moon',
+  'veneto': 'BitcoinVeneto',
+  'lake': 'TheBigLake',
+  'temple': 'Temple of Sats'
+};
+
+// Coordinator IDs are used in API paths (/<network>/<id>/api)
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Networks a coordinator can serve (ROBOSATS_NETWORK picks the one offers are fetched from)
+const NETWORKS = ['mainnet', 'testnet'];
+
+function parseUrl(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const url = String(value).trim();
+  if (!/^https?:\/\/\S+$/i.test(url)) {
+    throw new Error(`${name} must start with http:// or https://`);
+  }
+  return url.replace(/\/+$/, '');
+}
+
+// Onion and clearnet URLs of a coordinator on one network
+// Lenient parsing drops unusable URLs instead of throwing (for federation lists we don't control)
+function parseEndpoints(raw, name, lenient = false) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const parse = (value, label) => {
+    try {
+      return parseUrl(value, label);
+    } catch (error) {
+      if (lenient) return null;
+      throw error;
+    }
+  };
+  const endpoints = {
+    onion: parse(raw.onion, `${name} onion URL`),
+    clearnet: parse(raw.clearnet, `${name} clearnet URL`)
+  };
+  return endpoints.onion || endpoints.clearnet ? endpoints : null;
+}
+
+function buildCoordinator(id, raw, source, lenient = false) {
+  const coordinator = {
+    id,
+    name: String(raw.name || raw.longAlias || id).trim() || id,
+    source
+  };
+  NETWORKS.forEach(network => {
+    coordinator[network] = parseEndpoints(raw[network], `${id} ${network}`, lenient);
+  });
+  return coordinator;
+}
+
+// Parse a federation list - an object keyed by short alias (RoboSats' federation.json)
+// or a list of coordinators with a shortAlias or id
+// Entries that can't be used are skipped, and URLs that can't be used dropped, rather than failing the whole list
+function parseFederation(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Federation list must be a JSON object or list');
+  }
+  const entries = Array.isArray(data)
+    ? data.map(raw => [raw && (raw.shortAlias || raw.id), raw])
+    : Object.entries(data).map(([key, raw]) => [(raw && raw.shortAlias) || key, raw]);
+
+  const coordinators = [];
+  const usedIds = new Set();
+  entries.forEach(([id, raw]) => {
+    if (!id || !raw || typeof raw !== 'object' || !ID_PATTERN.test(id) || usedIds.has(id)) return;
+    coordinators.push(buildCoordinator(id, raw, 'federation', true));
+    usedIds.add(id);
+  });
+  if (coordinators.length === 0) {
+    throw new Error('Federation list contains no coordinators');
+  }
+  return coordinators;
+}
+
+function getBuiltinCoordinators() {
+  return Object.entries(BUILTIN_COORDINATORS).map(([id, name]) => buildCoordinator(id, { name }, 'builtin'));
+}
+
+// Validate and normalize manual overrides (from config.json or the web UI)
+// { [id]: { name, mainnet: { onion, clearnet }, testnet: { ... } } } adds or changes a coordinator,
+// { [id]: false } hides it
+function normalizeOverrides(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return {};
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Coordinator overrides must be an object');
+  }
+
+  const overrides = {};
+  Object.entries(raw).forEach(([id, value]) => {
+    if (!ID_PATTERN.test(id)) {
+      throw new Error(`Invalid coordinator ID: ${id}. Use letters, digits, - and _`);
+    }
+    if (value === false) {
+      overrides[id] = false;
+      return;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Override for coordinator ${id} must be an object or false`);
+    }
+    const override = {};
+    if (value.name !== undefined && String(value.name).trim() !== '') {
+      override.name = String(value.name).trim();
+    }
+    NETWORKS.forEach(network => {
+      const endpoints = parseEndpoints(value[network], `${id} ${network}`);
+      if (endpoints) {
+        override[network] = endpoints;
+      }
+    });
+    overrides[id] = override;
+  });
+  return overrides;
+}
+
+// Whether a coordinator is on a network - coordinators without any known URLs (the built-in
+// list, or overrides that only rename) are assumed to be on every network
+function servesNetwork(coordinator, network) {
+  return Boolean(coordinator[network]) || NETWORKS.every(name => !coordinator[name]);
+}
+
+// Apply overrides to a coordinator list - hidden coordinators are removed, unknown ones added
+function mergeCoordinators(coordinators, overrides) {
+  const merged = coordinators
+    .filter(coordinator => overrides[coordinator.id] !== false)
+    .map(coordinator => {
+      const override = overrides[coordinator.id];
+      if (!override) return coordinator;
+      const result = { ...coordinator, ...override, source: 'override' };
+      // Override URLs replace the federation's one by one (an override onion URL keeps the clearnet URL)
+      NETWORKS.forEach(network => {
+        if (coordinator[network] && override[network]) {
+          result[network] = { ...coordinator[network] };
+          Object.entries(override[network])
+            .filter(([, url]) => url)
+            .forEach(([kind, url]) => { result[network][kind] = url; });
+        }
+      });
+      return result;
+    });
+
+  const knownIds = new Set(coordinators.map(coordinator => coordinator.id));
+  Object.entries(overrides)
+    .filter(([id, override]) => override && !knownIds.has(id))
+    .forEach(([id, override]) => merged.push(buildCoordinator(id, override, 'override')));
+  return merged;
+}
+
+module.exports = {
+  BUILTIN_COORDINATORS,
+  NETWORKS,
+  parseFederation,
+  getBuiltinCoordinators,
+  normalizeOverrides,
+  mergeCoordinators,
+  servesNetwork
+};
@@ -0,0 +1,118 @@
+// Geographic filter for in-person (cash) offers. RoboSats orders can carry the latitude/longitude
+// the maker chose for meeting in person; offers tagged outside a radius around a home location are
+// dropped, and offers inside it show their distance.
+// Home location: { latitude, longitude, radiusKm, withoutLocation } - radiusKm null shows distances
+// without dropping anything
+
+// What to do with offers that carry no coordinates: keep them, drop them, or keep only those
+// paid online (in-person payment methods without a location can't be placed on the map)
+const WITHOUT_LOCATION_POLICIES = ['include', 'exclude', 'online'];
+
+// Payment methods that mean meeting in person
+const IN_PERSON_PAYMENT_PATTERN = /cash|f2f|face to face|in person|efectivo|dinheiro|bargeld/i;
+
+const EARTH_RADIUS_KM = 6371;
+
+function parseCoordinate(value, name, limit) {
+  const number = parseFloat(value);
+  if (isNaN(number) || number < -limit || number > limit) {
+    throw new Error(`${name} must be a number between -${limit} and ${limit}`);
+  }
+  return number;
+}
+
+// Validate and normalize the home location (from config.json or the web UI) - null when not set
+function normalizeHomeLocation(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Home location must be an object');
+  }
+  const isEmpty = value => value === undefined || value === null || value === '';
+  if (isEmpty(raw.latitude) && isEmpty(raw.longitude)) {
+    return null;
+  }
+
+  let radiusKm = null;
+  if (!isEmpty(raw.radiusKm)) {
+    radiusKm = parseFloat(raw.radiusKm);
+    if (isNaN(radiusKm) || radiusKm <= 0) {
+      throw new Error('Home location radius must be a positive number of kilometers');
+    }
+  }
+  const withoutLocation = String(raw.withoutLocation || 'include').toLowerCase();
+  if (!WITHOUT_LOCATION_POLICIES.includes(withoutLocation)) {
+    throw new Error(`Invalid policy for offers without a location: ${raw.withoutLocation}. Must be one of ${WITHOUT_LOCATION_POLICIES.join(', ')}`);
+  }
+
+  return {
+    latitude: parseCoordinate(raw.latitude, 'Home latitude', 90),
+    longitude: parseCoordinate(raw.longitude, 'Home longitude', 180),
+    radiusKm,
+    withoutLocation
+  };
+}
+
+// Coordinates of an offer, or null when it has none (the API sends null, or 0/0 from older clients)
+function getOfferCoordinates(offer) {
+  const latitude = parseFloat(offer.latitude);
+  const longitude = parseFloat(offer.longitude);
+  if (isNaN(latitude) || isNaN(longitude) || (latitude === 0 && longitude === 0)) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+// Great-circle distance between two { latitude, longitude } points (haversine)
+function getDistanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLatitude = toRadians(to.latitude - from.latitude);
+  const dLongitude = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+function isInPersonOffer(offer) {
+  const methods = Array.isArray(offer.payment_method) ? offer.payment_method.join(' ') : String(offer.payment_method || '');
+  return IN_PERSON_PAYMENT_PATTERN.test(methods);
+}
+
+// Set offer.distanceKm on every offer with coordinates when a home location is set
+function annotateDistances(offers, home) {
+  if (!home) return offers;
+  offers.forEach(offer => {
+    const coordinates = getOfferCoordinates(offer);
+    if (coordinates) {
+      offer.distanceKm = Math.round(getDistanceKm(home, coordinates) * 10) / 10;
+    }
+  });
+  return offers;
+}
+
+function matchesLocation(offer, home) {
+  if (!home) return true;
+  const coordinates = getOfferCoordinates(offer);
+  if (!coordinates) {
+    if (home.withoutLocation === 'online') {
+      return !isInPersonOffer(offer);
+    }
+    return home.withoutLocation === 'include';
+  }
+  return home.radiusKm === null || getDistanceKm(home, coordinates) <= home.radiusKm;
+}
+
+function applyLocationFilter(offers, home) {
+  return offers.filter(offer => matchesLocation(offer, home));
+}
+
+module.exports = {
+  WITHOUT_LOCATION_POLICIES,
+  normalizeHomeLocation,
+  getOfferCoordinates,
+  getDistanceKm,
+  annotateDistances,
+  matchesLocation,
+  applyLocationFilter
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+// Translation catalogs: one JSON file per language in src/locales, named after its language code
+// (en.json, es.json, ...) with { name, messages, ui } - the language's own name, the strings of
+// chat messages and the strings of the web UI. Adding a language is a matter of dropping in a file;
+// strings it doesn't translate fall back to English.
+// Strings can hold {placeholders}. Strings that depend on a count are objects of Intl.PluralRules
+// categories ({ "one": "...", "other": "..." }) and are picked with the "count" parameter.
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LANGUAGE = 'EN';
+
+function loadCatalogs() {
+  const catalogs = {};
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const code = path.basename(file, '.json').toUpperCase();
+      try {
+        const catalog = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+        catalogs[code] = { name: catalog.name || code, messages: catalog.messages || {}, ui: catalog.ui || {} };
+      } catch (error) {
+        throw new Error(`Invalid translation catalog ${file}: ${error.message}`);
+      }
+    });
+  if (!catalogs[DEFAULT_LANGUAGE]) {
+    throw new Error(`Missing the ${DEFAULT_LANGUAGE.toLowerCase()}.json translation catalog`);
+  }
+  return catalogs;
+}
+
+const catalogs = loadCatalogs();
+
+// Languages with a catalog: [{ code, name }], English first
+function getLanguages() {
+  return Object.keys(catalogs)
+    .sort((a, b) => (b === DEFAULT_LANGUAGE) - (a === DEFAULT_LANGUAGE) || a.localeCompare(b))
+    .map(code => ({ code, name: catalogs[code].name }));
+}
+
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(catalogs, String(code).toUpperCase());
+}
+
+// Replace {name} with params.name - unknown placeholders are left as written
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Pick the plural form of an entry for a number (cardinal, or ordinal for "1st", "2nd"...)
+function selectForm(entry, language, number, type = 'cardinal') {
+  const category = new Intl.PluralRules(language.toLowerCase(), { type }).select(number);
+  return entry[category] !== undefined ? entry[category] : entry.other;
+}
+
+function lookup(language, section, key) {
+  const catalog = catalogs[String(language).toUpperCase()];
+  if (catalog && catalog[section][key] !== undefined) {
+    return { entry: catalog[section][key], language: String(language).toUpperCase() };
+  }
+  return { entry: catalogs[DEFAULT_LANGUAGE][section][key], language: DEFAULT_LANGUAGE };
+}
+
+function format(language, section, key, params) {
+  const { entry, language: found } = lookup(language, section, key);
+  if (entry === undefined) {
+    return key;
+  }
+  const text = typeof entry === 'object' ? selectForm(entry, found, params.count) : entry;
+  return interpolate(text, params);
+}
+
+// Chat message string in a language - the key itself when no catalog has it
+function translate(language, key, params = {}) {
+  return format(language, 'messages', key, params);
+}
+
+// Web UI string in a language - the key itself when no catalog has it
+function translateUi(language, key, params = {}) {
+  return format(language, 'ui', key, params);
+}
+
+// Error whose text the web UI shows: the English text as its message, with the key and params
+// of the web UI string (messageKey, messageParams) so the page can show it in its own language
+function uiError(key, params = {}) {
+  const error = new Error(translateUi(DEFAULT_LANGUAGE, key, params));
+  error.messageKey = key;
+  error.messageParams = params;
+  return error;
+}
+
+// Ordinal number in a language, e.g. "2nd" or "2ª"
+function ordinal(language, number) {
+  const { entry, language: found } = lookup(language, 'messages', 'ordinal');
+  return entry ? interpolate(selectForm(entry, found, number, 'ordinal'), { n: number }) : String(number);
+}
+
+// Translator bound to a language: t(key, params), with t.ordinal(number)
+function getTranslator(language) {
+  const t = (key, params) => translate(language, key, params);
+  t.ordinal = number => ordinal(language, number);
+  return t;
+}
+
+// Web UI strings of a language, with English for the strings it doesn't translate
+function getUiCatalog(language) {
+  const code = String(language).toUpperCase();
+  const catalog = catalogs[code] || catalogs[DEFAULT_LANGUAGE];
+  return {
+    code: catalogs[code] ? code : DEFAULT_LANGUAGE,
+    name: catalog.name,
+    strings: { ...catalogs[DEFAULT_LANGUAGE].ui, ...catalog.ui }
+  };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  getLanguages,
+  isSupportedLanguage,
+  translate,
+  translateUi,
+  uiError,
+  getTranslator,
+  getUiCatalog
+};
@@ -1,10 +1,31 @@
 const whatsappClient = require('./whatsappClient');
+const transports = require('./transports');
 const robosatsClient = require('./robosatsClient');
+const coordinatorDirectory = require('./coordinatorDirectory');
+const coordinatorHealth = require('./coordinatorHealth');
 const offerTracker = require('./offerTracker');
-const { formatOffer } = require('./messageFormatter');
+const { getOfferKey } = offerTracker;
+const digestTracker = require('./digestTracker');
+const outbox = require('./outbox');
+const alertTracker = require('./alertTracker');
+const marketReport = require('./marketReport');
+const { filterSummary } = marketReport;
+const notificationSchedule = require('./notificationSchedule');
+const { formatOffer, formatDigest, formatInactiveOffer, formatOfferStatus, formatChangedOffer, formatOfferChanges, formatAlert, formatExpiryReminder, formatMarketSummary } = require('./messageFormatter');
+const { applyFilters } = require('./offerFilter');
+const { fingerprint, diffOffers } = require('./offerChanges');
+const { annotateOffers } = require('./marketContext');
+const { evaluateAlert } = require('./priceAlerts');
+const { annotateDistances, applyLocationFilter } = require('./geoFilter');
+const { groupDuplicates } = require('./offerDedupe');
 const config = require('./config');
 const logger = require('./logger');
 const WebServer = require('./web/server');
+const webAuth = require('./webAuth');
+
+// Checks in which updating the messages of an offer that left the order book may fail before
+// the offer is dropped anyway
+const MAX_REMOVAL_ATTEMPTS = 8;
 
 // Store the interval timer and next check time
 let checkInterval = null;
@@ -22,6 +43,368 @@ function isCheckRunning() {
   return isCheckInProgress;
 }
 
+// Status shown for an offer that left the order book
+function getInactiveStatus(reason, offerInfo) {
+  return reason.startsWith('expired')
+    ? { reason: 'expired', at: offerInfo.expiresAt }
+    : { reason: 'inactive' };
+}
+
+// Language and message template of a subscription's messages (the global settings for messages
+// of a subscription that was removed)
+function getMessageFormat(subscription) {
+  return subscription
+    ? { language: subscription.language, template: subscription.template }
+    : { language: config.LANGUAGE, template: config.MESSAGE_TEMPLATE };
+}
+
+// Mark a message as inactive: edit it to a struck-through copy with a status line, or reply
+// with the status line when it can't be edited (e.g. outside WhatsApp's edit window)
+// Returns a description of what was done, for logging
+async function markMessageInactive(transport, messageId, offerInfo, reason, subscription) {
+  const { language, template } = getMessageFormat(subscription);
+  const status = getInactiveStatus(reason, offerInfo);
+  
+  // Offers tracked before snapshots were stored can't be re-rendered
+  if (offerInfo.offer) {
+    const edited = await transport.edit(messageId, formatInactiveOffer(offerInfo.offer, status, language, template));
+    if (edited) {
+      return 'Marked message for';
+    }
+  }
+  
+  await transport.reply(messageId, formatOfferStatus(status, language));
+  return 'Replied to message for';
+}
+
+// Re-render a digest message from its stored record - offers that left the order book
+// are struck through in mark mode and left out in delete mode
+function renderDigest(digest, subscription) {
+  const language = subscription ? subscription.language : config.LANGUAGE;
+  const items = Object.values(digest.offers)
+    .map(offer => ({ offer, status: digest.inactive[getOfferKey(offer)], changes: digest.changes[getOfferKey(offer)] }))
+    .filter(item => !item.status || config.INACTIVE_MESSAGE_ACTION === 'mark');
+  return formatDigest(items, language);
+}
+
+// Queue one message per offer, or one digest for all of them, in the outbox
+// With DEDUPE_OFFERS, chat messages cover an offer together with its duplicates on other coordinators
+// Offers are tracked right away (without a message) so they aren't queued twice
+async function queueNotifications(subscription, transport, offers, asDigest) {
+  await offerTracker.addOffers(offers, subscription.id, null, transport.name, asDigest);
+  if (asDigest) {
+    await outbox.enqueue({ type: 'digest', subscriptionId: subscription.id, transport: transport.name, offers });
+    return;
+  }
+  const groups = config.DEDUPE_OFFERS && transport.sendsDigests
+    ? groupDuplicates(offers)
+    : offers.map(offer => [offer]);
+  if (groups.length < offers.length) {
+    logger.info(`[${subscription.name}] Merged ${offers.length} offer(s) into ${groups.length} message(s) across coordinators`);
+  }
+  for (const group of groups) {
+    await outbox.enqueue({ type: 'offer', subscriptionId: subscription.id, transport: transport.name, offers: group });
+  }
+}
+
+// Members of a duplicate group (other than offerKey) that are still open: in the order book this check,
+// or tracked on a coordinator that wasn't reached
+function getOpenGroupMembers(group, offerKey, currentKeys, reachableCoordinators) {
+  return group.filter(key => {
+    if (key === offerKey) return false;
+    const offerInfo = offerTracker.getOfferInfo(key);
+    if (!offerInfo || offerInfo.expiresAt <= Date.now()) return false;
+    return currentKeys.has(key) || !reachableCoordinators.has(offerInfo.coordinator);
+  });
+}
+
+// Render a message shared by duplicate offers from the members' snapshots
+// A changed member is rendered from the live offer, first, followed by what changed
+function renderGroup(group, subscription, changedOffer = null, changes = null) {
+  const { language, template } = getMessageFormat(subscription);
+  const duplicates = group
+    .filter(key => !changedOffer || key !== getOfferKey(changedOffer))
+    .map(key => (offerTracker.getOfferInfo(key) || {}).offer)
+    .filter(Boolean);
+  if (changedOffer) {
+    return formatChangedOffer(changedOffer, changes, language, duplicates, template);
+  }
+  return formatOffer(duplicates[0], language, duplicates.slice(1), template);
+}
+
+// Update a message shared by duplicate offers after one of them left the order book
+// The message is re-rendered with the members still open, or gets a status reply naming
+// the coordinator when it can't be edited
+async function removeOfferFromGroup(transport, messageId, offerInfo, reason, subscriptionId, subscription, openKeys) {
+  const { language } = getMessageFormat(subscription);
+  offerTracker.setGroup(openKeys, subscriptionId);
+  if (await transport.edit(messageId, renderGroup(openKeys, subscription))) {
+    return 'Updated grouped message for';
+  }
+  const status = formatOfferStatus(getInactiveStatus(reason, offerInfo), language);
+  await transport.reply(messageId, `${status} · ${coordinatorDirectory.getName(offerInfo.coordinator)}`);
+  return 'Replied to grouped message for';
+}
+
+// Outbox sender - renders and sends a queued notification, then records its message ID
+// Throws when sending fails so the outbox retries it
+async function deliverNotification(item) {
+  const subscription = config.getSubscriptions().find(s => s.id === item.subscriptionId);
+  if (!subscription) {
+    logger.warn(`Dropping queued notification for removed subscription ${item.subscriptionId}`);
+    return;
+  }
+  const transport = transports.getTransportForDestination(subscription.destination);
+  
+  if (item.type === 'event') {
+    if (transport.name !== item.transport) {
+      logger.warn(`[${subscription.name}] Dropping queued ${item.event.event} event - the subscription no longer uses ${item.transport}`);
+      return;
+    }
+    await transport.deliverEvent(subscription.destination, item.event);
+    return;
+  }
+  
+  if (item.type === 'alert') {
+    const message = formatAlert(item.alert, subscription.language);
+    await transport.send(subscription.destination, message, { subscription, alert: item.alert });
+    logger.info(`[${subscription.name}] Sent price alert ${item.alert.rule.name || describeAlertRule(item.alert.rule)}`);
+    return;
+  }
+  
+  if (item.type === 'report') {
+    const message = formatMarketSummary(item.report, subscription.language);
+    await transport.send(subscription.destination, message, { subscription, report: item.report });
+    logger.info(`[${subscription.name}] Sent market report`);
+    return;
+  }
+  
+  if (item.type === 'digest') {
+    const message = formatDigest(item.offers.map(offer => ({ offer })), subscription.language);
+    const messageId = await transport.send(subscription.destination, message, { subscription, offers: item.offers });
+    await offerTracker.addOffers(item.offers, subscription.id, messageId, transport.name, true);
+    await digestTracker.addDigest(messageId, subscription.id, transport.name, item.offers.map(offerTracker.takeSnapshot));
+    logger.info(`[${subscription.name}] Sent digest of ${item.offers.length} offer(s)`);
+    return;
+  }
+  
+  const [offer, ...duplicates] = item.offers;
+  const message = formatOffer(offer, subscription.language, duplicates, subscription.template);
+  const messageId = await transport.send(subscription.destination, message, { subscription, offer });
+  
+  // Store offer with message ID (and the transport that sent it) for deletion tracking
+  if (duplicates.length > 0) {
+    await offerTracker.addOfferGroup(item.offers, messageId, subscription.id, transport.name);
+    logger.info(`[${subscription.name}] Sent offer ${getOfferKey(offer)} with ${duplicates.length} duplicate(s) on other coordinators`);
+    return;
+  }
+  await offerTracker.addOffer(offer, messageId, subscription.id, transport.name);
+}
+
+// Update a digest after one of its offers left the order book
+// The digest is deleted once all of its offers are gone (in delete mode), otherwise edited
+async function removeOfferFromDigest(transport, messageId, offerKey, offerInfo, reason, subscription) {
+  const digest = digestTracker.getDigest(messageId);
+  if (!digest) {
+    // Too old to update
+    return null;
+  }
+  
+  await digestTracker.markInactive(messageId, offerKey, getInactiveStatus(reason, offerInfo));
+  const isEmpty = digestTracker.countActive(messageId) === 0;
+  
+  let action = null;
+  if (isEmpty && config.INACTIVE_MESSAGE_ACTION === 'delete') {
+    if (await transport.delete(messageId)) {
+      action = 'Deleted digest for';
+    }
+  } else if (await transport.edit(messageId, renderDigest(digest, subscription))) {
+    action = 'Updated digest for';
+  }
+  
+  if (isEmpty) {
+    await digestTracker.removeDigest(messageId);
+  }
+  return action;
+}
+
+// Re-render a digest with the changed offer - returns false when the digest can't be edited
+async function updateOfferInDigest(transport, messageId, offer, changes, subscription) {
+  const digest = digestTracker.getDigest(messageId);
+  if (!digest) return false;
+  await digestTracker.updateOffer(messageId, offerTracker.takeSnapshot(offer), changes);
+  return await transport.edit(messageId, renderDigest(digest, subscription));
+}
+
+// Update the messages of tracked offers that changed significantly since they were sent
+// Messages are edited in place; when that isn't possible the updated offer is re-posted
+// as a reply and becomes the message tracked for the offer
+async function updateChangedOffers(offers, subscriptions) {
+  const thresholds = {
+    premium: config.CHANGE_PREMIUM_THRESHOLD,
+    pricePercent: config.CHANGE_PRICE_THRESHOLD_PERCENT
+  };
+  
+  for (const offer of offers) {
+    const offerKey = getOfferKey(offer);
+    const offerInfo = offerTracker.getOfferInfo(offerKey);
+    if (!offerInfo || offerInfo.fingerprint === fingerprint(offer)) continue;
+    
+    if (!offerInfo.offer) {
+      // Tracked before snapshots were stored - use the current state as the baseline
+      await offerTracker.updateSnapshot(offer);
+      continue;
+    }
+    
+    const changes = diffOffers(offerInfo.offer, offer, thresholds);
+    if (changes.length === 0) continue;
+    
+    logger.info(`Offer ${offerKey} changed: ${formatOfferChanges(changes, offer, 'EN')}`);
+    for (const { subscriptionId, messageId, transport: transportName, digest, group } of offerInfo.messages) {
+      if (!messageId) continue;
+      if (shouldAbortCheck) return;
+      const subscription = subscriptions.find(s => s.id === subscriptionId);
+      if (!subscription) continue;
+      const transport = transports.getTransport(transportName);
+      const message = group.length > 1
+        ? renderGroup(group, subscription, offer, changes)
+        : formatChangedOffer(offer, changes, subscription.language, [], subscription.template);
+      try {
+        if (group.length > 1) {
+          // Messages shared by duplicates stay the tracked message of every member,
+          // so when they can't be edited the change is sent as a reply
+          if (await transport.edit(messageId, message, { subscription, offer, changes })) {
+            logger.info(`Updated grouped message for changed offer ${offerKey} (${subscriptionId})`);
+          } else {
+            await transport.reply(messageId, message);
+            logger.info(`Replied to grouped message for changed offer ${offerKey} (${subscriptionId})`);
+          }
+          continue;
+        }
+        if (digest) {
+          // Digests stay the tracked message - when they can't be edited the change is sent as a reply
+          if (await updateOfferInDigest(transport, messageId, offer, changes, subscription)) {
+            logger.info(`Updated digest for changed offer ${offerKey} (${subscriptionId})`);
+          } else {
+            await transport.reply(messageId, message);
+            logger.info(`Replied to digest for changed offer ${offerKey} (${subscriptionId})`);
+          }
+          continue;
+        }
+        const edited = await transport.edit(messageId, message, { subscription, offer, changes });
+        if (edited) {
+          logger.info(`Updated message for changed offer ${offerKey} (${subscriptionId})`);
+        } else {
+          const newMessageId = await transport.reply(messageId, message);
+          await offerTracker.replaceMessage(offerKey, subscriptionId, newMessageId);
+          logger.info(`Re-posted changed offer ${offerKey} (${subscriptionId})`);
+        }
+      } catch (error) {
+        logger.warn(`Failed to update message for changed offer ${offerKey} (${subscriptionId}): ${error.message}`);
+      }
+    }
+    await offerTracker.updateSnapshot(offer);
+  }
+}
+
+// Market data for the configured MARKET_PRICE_SOURCE, from a coordinator reached this cycle
+// A failure only leaves the market reference out of the messages
+async function fetchMarketData(reachableCoordinators) {
+  if (config.MARKET_PRICE_SOURCE === 'off' || reachableCoordinators.size === 0) {
+    return {};
+  }
+  try {
+    return config.MARKET_PRICE_SOURCE === 'info'
+      ? { info: await robosatsClient.getInfo([...reachableCoordinators]) }
+      : { limits: await robosatsClient.getLimits([...reachableCoordinators]) };
+  } catch (error) {
+    logger.warn(`Failed to fetch market data (${config.MARKET_PRICE_SOURCE}): ${error.message}`);
+    return {};
+  }
+}
+
+// Queue the scheduled market report for every subscription, limited to its currencies
+async function queueMarketReports(subscriptions) {
+  const summary = marketReport.getSummary();
+  for (const subscription of subscriptions) {
+    const transport = transports.getTransportForDestination(subscription.destination);
+    const report = filterSummary(summary, subscription.currencies);
+    await outbox.enqueue({ type: 'report', subscriptionId: subscription.id, transport: transport.name, offers: [], report });
+  }
+  await marketReport.markSent();
+  logger.info(`Queued market report for ${subscriptions.length} subscription(s)`);
+}
+
+// Reply to the messages of offers still in the book that expire within EXPIRY_REMINDER_MINUTES
+// Each message gets at most one reminder (recorded in offerTracker); a failed reply is retried next check
+// Chat reminders aren't sent during quiet hours - they go out when the hours end if the offer is still open
+async function sendExpiryReminders(allOffers, subscriptions, isQuietHours) {
+  const windowMs = config.EXPIRY_REMINDER_MINUTES * 60 * 1000;
+  const now = Date.now();
+  let sent = 0;
+  for (const offer of allOffers) {
+    const offerKey = getOfferKey(offer);
+    const offerInfo = offerTracker.getOfferInfo(offerKey);
+    if (!offerInfo || offerInfo.expiresAt <= now || offerInfo.expiresAt - now > windowMs) continue;
+    
+    for (const { subscriptionId, messageId, transport: transportName, group, remindedAt } of offerInfo.messages) {
+      if (!messageId || remindedAt) continue;
+      const subscription = subscriptions.find(s => s.id === subscriptionId);
+      if (!subscription) continue;
+      const transport = transports.getTransport(transportName);
+      if (isQuietHours && transport.sendsDigests) continue;
+      try {
+        const message = formatExpiryReminder(offer, offerInfo.expiresAt, subscription.language);
+        await transport.reply(messageId, message, { subscription, offer, expiresAt: offerInfo.expiresAt });
+        // A message shared by duplicates gets one reminder for all of its members
+        for (const memberKey of group.length > 0 ? group : [offerKey]) {
+          await offerTracker.markReminded(memberKey, subscriptionId);
+        }
+        sent++;
+      } catch (error) {
+        logger.warn(`Failed to send expiry reminder for offer ${offerKey} (${subscriptionId}): ${error.message}`);
+      }
+    }
+  }
+  return sent;
+}
+
+// Short description of a price alert rule for logs
+function describeAlertRule(rule) {
+  return `${rule.target} ${rule.currency} ${rule.side} ${rule.condition} ${rule.premium}%`;
+}
+
+// Evaluate the price alert rules against the whole order book and queue an alert for every rule
+// whose condition started to hold - sent to the rule's subscription, or to every subscription
+async function checkPriceAlerts(allOffers, subscriptions) {
+  const rules = config.PRICE_ALERTS.filter(rule => rule.enabled);
+  let queued = 0;
+  for (const rule of rules) {
+    const result = evaluateAlert(rule, allOffers);
+    if (!alertTracker.update(rule, result)) {
+      continue;
+    }
+    
+    const targets = subscriptions.filter(subscription => !rule.subscriptionId || subscription.id === rule.subscriptionId);
+    logger.info(`Price alert triggered: ${rule.name || describeAlertRule(rule)} (premium ${result.value}%, ${result.offers.length} offer(s)) - notifying ${targets.length} subscription(s)`);
+    const alert = {
+      rule,
+      value: result.value,
+      count: result.offers.length,
+      offers: result.offers.slice(0, 3).map(offerTracker.takeSnapshot),
+      triggeredAt: Date.now()
+    };
+    for (const subscription of targets) {
+      const transport = transports.getTransportForDestination(subscription.destination);
+      await outbox.enqueue({ type: 'alert', subscriptionId: subscription.id, transport: transport.name, offers: [], alert });
+      queued++;
+    }
+  }
+  alertTracker.prune(config.PRICE_ALERTS);
+  await alertTracker.save();
+  return queued;
+}
+
 async function checkForNewOffers() {
   // Prevent overlapping checks
   if (isCheckInProgress) {
@@ -47,16 +430,30 @@ async function checkForNewOffersInternal() {
       return;
     }
     
-    // Validate notification configuration
-    try {
-      config.validateNotificationConfig();
-    } catch (error) {
-      logger.error('Notification configuration error:', error.message);
+    // Validate each enabled subscription - invalid ones are skipped, not fatal
+    const subscriptions = config.getSubscriptions().filter(subscription => {
+      if (!subscription.enabled) return false;
+      try {
+        config.validateSubscription(subscription);
+        const transport = transports.getTransportForDestination(subscription.destination);
+        if (!transport.isConfigured) {
+          throw new Error(`${transport.name} transport is not configured`);
+        }
+        return true;
+      } catch (error) {
+        logger.error(`Notification configuration error (${subscription.name}):`, error.message);
+        return false;
+      }
+    });
+    
+    if (subscriptions.length === 0) {
+      logger.error('No valid subscriptions configured. Please configure notifications via the web UI.');
       return;
     }
     
     // Validate currencies are configured
-    if (!config.TARGET_CURRENCIES || config.TARGET_CURRENCIES.length === 0) {
+    const watchedCurrencies = config.WATCHED_CURRENCIES;
+    if (watchedCurrencies.length === 0) {
       logger.error('No target currencies configured. Please configure currencies via the web UI.');
       return;
     }
@@ -67,9 +464,11 @@ async function checkForNewOffersInternal() {
       return;
     }
     
-    const currencyCodes = config.TARGET_CURRENCIES.map(c => c.code).join(', ');
+    const currencyCodes = watchedCurrencies.map(c => c.code).join(', ');
     logger.info(`Checking for new offers (${currencyCodes})...`);
     
+    // Reload the federation list when it's due (or its source changed)
+    await coordinatorDirectory.refreshIfStale();
     const { offers: allOffers, reachableCoordinators } = await robosatsClient.getOffers();
     
     // Check for abort signal after fetching (longest operation)
@@ -78,15 +477,23 @@ async function checkForNewOffersInternal() {
       return;
     }
     
-    // Delete messages for inactive offers if feature is enabled
-    if (config.DELETE_INACTIVE_MESSAGES) {
-      const trackedIds = offerTracker.getTrackedOfferIds();
-      const currentIds = new Set(allOffers.map(o => o.id));
+    // Rank every offer within its currency and side, attach the market reference and the distance from home
+    annotateOffers(allOffers, await fetchMarketData(reachableCoordinators));
+    annotateDistances(allOffers, config.HOME_LOCATION);
+    
+    // Handle inactive offers: delete or mark their chat messages (if enabled) and report
+    // the removal to transports that track it (webhooks)
+    const removedCounts = {}; // subscriptionId -> number of removed offers
+    const reportsRemovals = subscriptions.some(subscription =>
+      transports.getTransportForDestination(subscription.destination).reportsRemovals);
+    if (config.DELETE_INACTIVE_MESSAGES || reportsRemovals) {
+      const trackedKeys = offerTracker.getTrackedOfferKeys();
+      const currentKeys = new Set(allOffers.map(getOfferKey));
       
-      for (const trackedId of trackedIds) {
-        if (!currentIds.has(trackedId)) {
+      for (const trackedKey of trackedKeys) {
+        if (!currentKeys.has(trackedKey)) {
           // Offer is no longer in the current list - but we need to verify it's truly gone
-          const offerInfo = offerTracker.getOfferInfo(trackedId);
+          const offerInfo = offerTracker.getOfferInfo(trackedKey);
           
           // Determine if we should delete this offer
           let shouldDelete = false;
@@ -96,9 +503,10 @@ async function checkForNewOffersInternal() {
             // Case 1: Offer has naturally expired based on its expiration time
             shouldDelete = true;
             deleteReason = 'expired';
-          } else if (offerInfo && offerInfo.coordinator && reachableCoordinators.has(offerInfo.coordinator)) {
+          } else if (offerInfo && offerInfo.coordinator && offerInfo.network === config.ROBOSATS_NETWORK && reachableCoordinators.has(offerInfo.coordinator)) {
             // Case 2: The offer's coordinator was successfully reached but offer is not in the list
             // This means the offer was actually taken, cancelled, or removed
+            // (offers from another network are kept until they expire, as if their coordinator were unreachable)
             shouldDelete = true;
             deleteReason = 'confirmed inactive';
           } else if (!offerInfo || !offerInfo.coordinator) {
@@ -110,60 +518,206 @@ async function checkForNewOffersInternal() {
             } else {
               // Don't delete - we can't verify the coordinator status
               const coordinatorStatus = offerInfo?.coordinator ? 'unreachable' : 'unknown';
-              logger.debug(`Preserving offer #${trackedId}: coordinator ${coordinatorStatus}, not yet expired`);
+              logger.debug(`Preserving offer ${trackedKey}: coordinator ${coordinatorStatus}, not yet expired`);
             }
           } else {
             // Case 4: Coordinator is unreachable - preserve the offer
-            logger.debug(`Preserving offer #${trackedId}: coordinator ${offerInfo.coordinator} unreachable`);
+            logger.debug(`Preserving offer ${trackedKey}: coordinator ${offerInfo.coordinator} unreachable`);
           }
           
           if (shouldDelete) {
-            const messageId = offerTracker.getMessageId(trackedId);
-            if (messageId) {
+            // Delete, mark or report the message sent to every subscription - messages already handled
+            // in an earlier check (when another subscription's failed) are skipped
+            let removalFailed = false;
+            for (const { subscriptionId, messageId, transport: transportName, digest, group, previousMessageIds, removedAt } of offerTracker.getMessages(trackedKey)) {
+              if (!messageId || removedAt) continue;
+              const transport = transports.getTransport(transportName);
+              if (!config.DELETE_INACTIVE_MESSAGES && !transport.reportsRemovals) continue;
+              const subscription = subscriptions.find(s => s.id === subscriptionId);
               try {
-                const deleted = await whatsappClient.deleteMessage(messageId);
-                if (deleted) {
-                  logger.info(`Deleted message for ${deleteReason} offer #${trackedId}`);
+                let action = null;
+                // Messages shared by duplicates are only deleted or marked once their last member is gone
+                const openMembers = getOpenGroupMembers(group, trackedKey, currentKeys, reachableCoordinators);
+                if (digest) {
+                  action = await removeOfferFromDigest(transport, messageId, trackedKey, offerInfo, deleteReason, subscription);
+                } else if (openMembers.length > 0) {
+                  action = await removeOfferFromGroup(transport, messageId, offerInfo, deleteReason, subscriptionId, subscription, openMembers);
+                } else if (!transport.reportsRemovals && config.INACTIVE_MESSAGE_ACTION === 'mark') {
+                  action = await markMessageInactive(transport, messageId, offerInfo, deleteReason, subscription);
+                } else {
+                  const deleted = await transport.delete(messageId, {
+                    subscription,
+                    destination: subscription ? subscription.destination : null,
+                    offerId: offerInfo.offerId,
+                    coordinator: offerInfo ? offerInfo.coordinator : null,
+                    network: offerInfo.network,
+                    reason: deleteReason
+                  });
+                  if (deleted) {
+                    action = transport.reportsRemovals ? 'Reported removal of' : 'Deleted message for';
+                  }
+                  // Messages replaced by a re-post of the changed offer go too
+                  for (const previousMessageId of previousMessageIds) {
+                    await transport.delete(previousMessageId, { subscription, offerId: offerInfo.offerId, reason: deleteReason });
+                  }
                 }
+                if (action) {
+                  logger.info(`${action} ${deleteReason} offer ${trackedKey} (${subscriptionId})`);
+                  removedCounts[subscriptionId] = (removedCounts[subscriptionId] || 0) + 1;
+                }
+                await offerTracker.markRemoved(trackedKey, subscriptionId);
               } catch (error) {
-                logger.warn(`Failed to delete message for offer #${trackedId}: ${error.message}`);
+                removalFailed = true;
+                logger.warn(`Failed to update message for inactive offer ${trackedKey} (${subscriptionId}): ${error.message}`);
               }
             }
-            // Remove from tracker
-            await offerTracker.removeOffer(trackedId);
+            // Don't send notifications still waiting in the outbox
+            await outbox.cancelOffer(trackedKey);
+            // Keep tracking the offer until its messages were updated, so a failed update is retried
+            // on the next check
+            if (removalFailed && await offerTracker.recordRemovalFailure(trackedKey) < MAX_REMOVAL_ATTEMPTS) {
+              continue;
+            }
+            if (removalFailed) {
+              logger.error(`Giving up on updating the messages of inactive offer ${trackedKey} after ${MAX_REMOVAL_ATTEMPTS} checks`);
+            }
+            await offerTracker.removeOffer(trackedKey);
           }
         }
       }
     }
     
-    const newOffers = offerTracker.getNewOffers(allOffers);
+    // Update messages of offers that changed since they were sent
+    if (config.UPDATE_CHANGED_OFFERS) {
+      await updateChangedOffers(allOffers, subscriptions);
+    }
+    
+    // During quiet hours chat notifications are held and sent as a digest when the window opens
+    const isQuietHours = !notificationSchedule.isActive(config.NOTIFICATION_SCHEDULE);
+    if (isQuietHours) {
+      const nextChange = notificationSchedule.getNextChange(config.NOTIFICATION_SCHEDULE);
+      logger.info(`Quiet hours - holding notifications${nextChange ? ` until ${new Date(nextChange).toISOString()}` : ''}`);
+    }
+    
+    // Market summary for /api/market-summary and the scheduled report - held during quiet hours and
+    // skipped when no coordinator was reached (the first check after that sends it)
+    marketReport.update(allOffers, reachableCoordinators);
+    if (!isQuietHours && reachableCoordinators.size > 0 && await marketReport.isDue()) {
+      await queueMarketReports(subscriptions);
+    }
+    
+    // Remind subscriptions of notified offers that are about to expire
+    if (config.EXPIRY_REMINDER_MINUTES > 0) {
+      const reminders = await sendExpiryReminders(allOffers, subscriptions, isQuietHours);
+      if (reminders > 0) {
+        logger.info(`Sent ${reminders} expiry reminder(s)`);
+      }
+    }
+    
+    // Price alerts aren't evaluated during quiet hours (a condition that still holds fires when they end),
+    // nor when no coordinator was reached (an empty order book would re-arm every rule)
+    let totalAlerts = 0;
+    if (!isQuietHours && reachableCoordinators.size > 0) {
+      totalAlerts = await checkPriceAlerts(allOffers, subscriptions);
+    }
     
-    if (newOffers.length > 0) {
-      logger.info(`Found ${newOffers.length} new offer(s)`);
+    // Route offers to every subscription they match
+    let totalQueued = 0;
+    let totalHeld = 0;
+    const cycleSummaries = [];
+    for (const subscription of subscriptions) {
+      // Apply the subscription's currencies and filters, and the home location radius, before detecting new offers
+      // (inactive-offer handling above still uses the full list so filtered offers aren't treated as gone)
+      const subscriptionOffers = allOffers.filter(offer => subscription.currencies.includes(offer.currencyCode));
+      const matchingOffers = applyLocationFilter(applyFilters(subscriptionOffers, subscription.filters), config.HOME_LOCATION);
+      if (matchingOffers.length !== subscriptionOffers.length) {
+        logger.info(`[${subscription.name}] Filters matched ${matchingOffers.length} of ${subscriptionOffers.length} offer(s)`);
+      }
       
-      // Send one message per offer
-      for (const offer of newOffers) {
-        // Check for abort before each notification
-        if (shouldAbortCheck) {
-          logger.info('Check aborted by user - notifications cancelled');
-          return;
-        }
-        
-        const message = formatOffer(offer);
-        const sentMessage = await whatsappClient.sendNotification(message);
-        
-        // Store offer with message ID for deletion tracking
-        const messageId = sentMessage && sentMessage.id ? sentMessage.id._serialized : null;
-        await offerTracker.addOffer(offer, messageId);
+      const newOffers = offerTracker.getNewOffers(matchingOffers, subscription.id);
+      const transport = transports.getTransportForDestination(subscription.destination);
+      cycleSummaries.push({
+        transport,
+        subscription,
+        matchingOffers: matchingOffers.length,
+        newOffers: newOffers.length,
+        removedOffers: removedCounts[subscription.id] || 0
+      });
+      const useDigest = config.DIGEST_MODE !== 'off' && transport.sendsDigests;
+      const isScheduledDigest = useDigest && ['hourly', 'daily'].includes(config.DIGEST_MODE);
+      const holdOffers = isQuietHours && transport.sendsDigests;
+      
+      if (newOffers.length > 0) {
+        logger.info(`[${subscription.name}] Found ${newOffers.length} new offer(s)`);
         
-        // Small delay between messages to avoid rate limiting
-        if (newOffers.length > 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
+        if (isScheduledDigest || holdOffers) {
+          // Track queued offers without a message so they aren't queued twice
+          await offerTracker.addOffers(newOffers, subscription.id, null, transport.name, true);
+          const dueAt = isScheduledDigest ? digestTracker.getNextDigestTime(config.DIGEST_MODE) : Date.now();
+          await digestTracker.queue(subscription.id, newOffers.map(getOfferKey), dueAt);
+          totalHeld += newOffers.length;
+          logger.info(`[${subscription.name}] Queued ${newOffers.length} offer(s) for the ${holdOffers ? 'end of quiet hours' : `${config.DIGEST_MODE} digest`}`);
+        } else {
+          await queueNotifications(subscription, transport, newOffers, useDigest);
+          totalQueued += newOffers.length;
         }
       }
       
-      logger.info(`Successfully sent ${newOffers.length} offer notification(s)`);
-    } else {
+      // Send queued offers once the scheduled digest is due (or right away if digests were turned off)
+      // and quiet hours are over - offers that left the order book meanwhile are skipped
+      const pending = digestTracker.getPending(subscription.id);
+      if (pending && !holdOffers && (!isScheduledDigest || pending.dueAt <= Date.now())) {
+        const pendingKeys = new Set(pending.offerKeys);
+        const liveOffers = allOffers.filter(offer => pendingKeys.has(getOfferKey(offer)));
+        await digestTracker.clearPending(subscription.id);
+        if (liveOffers.length > 0) {
+          // Offers no other subscription was notified about are sent as they are now
+          for (const offer of liveOffers) {
+            const offerInfo = offerTracker.getOfferInfo(getOfferKey(offer));
+            if (offerInfo && offerInfo.messages.every(message => !message.messageId)) {
+              await offerTracker.updateSnapshot(offer);
+            }
+          }
+          await queueNotifications(subscription, transport, liveOffers, true);
+          totalQueued += liveOffers.length;
+        }
+      }
+    }
+    
+    // Check for abort before sending - queued notifications stay in the outbox
+    if (shouldAbortCheck) {
+      logger.info('Check aborted by user - notifications held in the outbox');
+      return;
+    }
+    
+    // Let transports report the finished cycle (webhooks queue cycle.completed behind this cycle's events)
+    for (const { transport, ...summary } of cycleSummaries) {
+      try {
+        await transport.cycleCompleted(summary.subscription.destination, {
+          ...summary,
+          reachableCoordinators: [...reachableCoordinators]
+        });
+      } catch (error) {
+        logger.warn(`Failed to report the finished cycle (${summary.subscription.id}): ${error.message}`);
+      }
+    }
+    
+    // Send queued notifications (including retries that are due)
+    const delivered = await outbox.process();
+    const { pending: waiting } = outbox.getStatus();
+    if (delivered > 0) {
+      logger.info(`Successfully sent ${delivered} notification(s)`);
+    }
+    if (waiting > 0) {
+      logger.warn(`${waiting} notification(s) waiting to be retried`);
+    }
+    if (totalHeld > 0) {
+      logger.info(`Queued ${totalHeld} offer notification(s) for a later digest`);
+    }
+    if (totalAlerts > 0) {
+      logger.info(`Queued ${totalAlerts} price alert notification(s)`);
+    }
+    if (totalQueued === 0 && totalHeld === 0) {
       logger.info('No new offers found');
     }
   } catch (error) {
@@ -212,13 +766,23 @@ async function start() {
   try {
     logger.info('Starting RoboSats Notifier...');
     
+    // Load the web UI password and API tokens before the web server accepts requests
+    await webAuth.initialize();
+    
     // Start web server first, pass the status functions
     const webServer = new WebServer(whatsappClient, getNextCheckTime, isCheckRunning);
     await webServer.start();
     
     // Initialize components
+    await coordinatorDirectory.initialize();
+    await coordinatorHealth.initialize();
     await offerTracker.initialize();
-    await whatsappClient.initialize();
+    await digestTracker.initialize();
+    await outbox.initialize();
+    await alertTracker.initialize();
+    await marketReport.initialize();
+    outbox.setSender(deliverNotification);
+    await transports.initialize();
     
     // Wait for WhatsApp to be ready
     await new Promise((resolve) => {
@@ -4,6 +4,7 @@ const path = require('path');
 const LOG_FILE = path.join(__dirname, '../app.log');
 
 const levels = {
+  debug: 'DEBUG',
   info: 'INFO',
   warn: 'WARN',
   error: 'ERROR'
@@ -12,18 +13,25 @@ const levels = {
 // ANSI color codes
 const colors = {
   reset: '\x1b[0m',
+  gray: '\x1b[90m',
   red: '\x1b[31m',
   yellow: '\x1b[33m',
   cyan: '\x1b[36m'
 };
 
 const levelColors = {
+  debug: colors.gray,
   info: colors.cyan,
   warn: colors.yellow,
   error: colors.red
 };
 
 function log(level, ...args) {
+  // Debug messages are only written when LOG_LEVEL=debug
+  if (level === 'debug' && (process.env.LOG_LEVEL || 'info') !== 'debug') {
+    return;
+  }
+  
   const timestamp = new Date().toISOString();
   const levelLabel = levels[level];
   const message = `[${timestamp}] [${levelLabel}] ${args.join(' ')}`;
@@ -37,6 +45,7 @@ function log(level, ...args) {
 }
 
 module.exports = {
+  debug: (...args) => log('debug', ...args),
   info: (...args) => log('info', ...args),
   warn: (...args) => log('warn', ...args),
   error: (...args) => log('error', ...args)
@@ -0,0 +1,76 @@
+// Market context for notified offers: where an offer ranks among the live offers of the
+// same currency and side, and the market price (or average premium) it compares against.
+
+// Where the market reference comes from: the coordinators' /api/limits/ (index price per currency),
+// /api/info/ (24h average non-KYC premium), or nowhere
+const MARKET_PRICE_SOURCES = ['limits', 'info', 'off'];
+
+function getPremium(offer) {
+  const premium = parseFloat(offer.premium);
+  return isNaN(premium) ? null : premium;
+}
+
+// Best offers first for the taker: sell offers by lowest premium, buy offers by highest
+// (type 0 = the maker buys, so a higher premium pays the taker more)
+function compareOffers(a, b) {
+  const premiumA = getPremium(a) || 0;
+  const premiumB = getPremium(b) || 0;
+  return a.type === 0 ? premiumB - premiumA : premiumA - premiumB;
+}
+
+// Rank of every offer among the offers of its currency and side: { rank, count, bestPremium }
+// Offers with the same premium share a rank; offers without a premium aren't ranked
+function rankOffers(offers) {
+  const groups = new Map();
+  offers.filter(offer => getPremium(offer) !== null).forEach(offer => {
+    const key = `${offer.currency}:${offer.type}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(offer);
+  });
+
+  const ranks = new Map();
+  groups.forEach(group => {
+    const sorted = [...group].sort(compareOffers);
+    const bestPremium = getPremium(sorted[0]);
+    sorted.forEach(offer => {
+      ranks.set(offer, {
+        rank: sorted.filter(other => compareOffers(other, offer) < 0).length + 1,
+        count: sorted.length,
+        bestPremium
+      });
+    });
+  });
+  return ranks;
+}
+
+// Index price of a currency from /api/limits/ data ({ [currencyId]: { code, price, ... } })
+function getMarketPrice(limits, currencyId) {
+  const entry = limits && limits[currencyId];
+  const price = entry ? parseFloat(entry.price) : NaN;
+  return isNaN(price) || price <= 0 ? null : price;
+}
+
+// Attach { rank, count, bestPremium, marketPrice, averagePremium } to every offer as offer.market
+// market: { limits } or { info } as fetched for the configured source - either may be missing
+function annotateOffers(offers, market = {}) {
+  const ranks = rankOffers(offers);
+  const averagePremium = market.info ? parseFloat(market.info.last_day_nonkyc_btc_premium) : NaN;
+  offers.forEach(offer => {
+    offer.market = {
+      ...(ranks.get(offer) || { rank: null, count: null, bestPremium: null }),
+      marketPrice: getMarketPrice(market.limits, offer.currency),
+      averagePremium: isNaN(averagePremium) ? null : averagePremium
+    };
+  });
+  return offers;
+}
+
+module.exports = {
+  MARKET_PRICE_SOURCES,
+  compareOffers,
+  rankOffers,
+  getMarketPrice,
+  annotateOffers
+};
@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const coordinatorDirectory = require('./coordinatorDirectory');
+const { compareOffers } = require('./marketContext');
+const { getNextDigestTime } = require('./digestTracker');
+
+// Best premium and offer count of one side: { count, bestPremium, coordinator }
+// Best means best for the taker - highest premium for buy offers, lowest for sell offers
+function summarizeSide(offers) {
+  const priced = offers.filter(offer => !isNaN(parseFloat(offer.premium))).sort(compareOffers);
+  return {
+    count: offers.length,
+    bestPremium: priced.length > 0 ? parseFloat(priced[0].premium) : null,
+    coordinator: priced.length > 0 ? priced[0].coordinator : null
+  };
+}
+
+// Market summary per currency from the offers of one check:
+// { generatedAt, reachableCoordinators, currencies: [{ currency, buy, sell, spread, coordinators: [{ id, name, buy, sell }] }] }
+// spread = best SELL premium - best BUY premium in percentage points; a negative spread means an offer can be
+// bought on one coordinator and sold on another at a profit
+function buildMarketSummary(offers, currencyCodes, reachableCoordinators = []) {
+  const currencies = currencyCodes.map(currency => {
+    const currencyOffers = offers.filter(offer => offer.currencyCode === currency);
+    const buy = summarizeSide(currencyOffers.filter(offer => offer.type === 0));
+    const sell = summarizeSide(currencyOffers.filter(offer => offer.type === 1));
+
+    const coordinatorIds = [...new Set(currencyOffers.map(offer => offer.coordinator))];
+    const coordinators = coordinatorIds.map(id => {
+      const coordinatorOffers = currencyOffers.filter(offer => offer.coordinator === id);
+      return {
+        id,
+        name: coordinatorDirectory.getName(id),
+        buy: summarizeSide(coordinatorOffers.filter(offer => offer.type === 0)),
+        sell: summarizeSide(coordinatorOffers.filter(offer => offer.type === 1))
+      };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+
+    const spread = buy.bestPremium !== null && sell.bestPremium !== null
+      ? Math.round((sell.bestPremium - buy.bestPremium) * 100) / 100
+      : null;
+    return { currency, buy, sell, spread, coordinators };
+  });
+
+  return {
+    generatedAt: Date.now(),
+    reachableCoordinators: [...reachableCoordinators],
+    currencies
+  };
+}
+
+// Summary limited to some currencies (e.g. a subscription's)
+function filterSummary(summary, currencyCodes) {
+  return {
+    ...summary,
+    currencies: summary.currencies.filter(entry => currencyCodes.includes(entry.currency))
+  };
+}
+
+// Latest market summary (rebuilt every check from the offers it fetched) and the report schedule
+// The time of the next scheduled report is persisted so restarts neither skip nor repeat a report
+class MarketReport {
+  constructor() {
+    this.dataFile = path.join(config.DATA_DIR, 'market_report.json');
+    this.summary = null;
+    this.nextReportAt = null;
+    this.lastReportAt = null;
+    this.schedule = null; // "<mode>:<hour>" the next report was scheduled for
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(config.DATA_DIR, { recursive: true });
+      const data = JSON.parse(await fs.readFile(this.dataFile, 'utf-8'));
+      this.nextReportAt = data.nextReportAt || null;
+      this.lastReportAt = data.lastReportAt || null;
+      this.schedule = data.schedule || null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async save() {
+    const data = { nextReportAt: this.nextReportAt, lastReportAt: this.lastReportAt, schedule: this.schedule };
+    await fs.writeFile(this.dataFile, JSON.stringify(data, null, 2), 'utf-8');
+  }
+
+  update(offers, reachableCoordinators) {
+    this.summary = buildMarketSummary(offers, config.WATCHED_CURRENCIES.map(currency => currency.code), reachableCoordinators);
+  }
+
+  getSummary() {
+    return this.summary;
+  }
+
+  // Whether a scheduled report is due - the first check after enabling reports (or changing
+  // their schedule) only schedules the next one
+  async isDue() {
+    if (config.MARKET_REPORT_MODE === 'off') {
+      return false;
+    }
+    if (!this.nextReportAt || this.schedule !== this.getSchedule()) {
+      await this.scheduleNext();
+      return false;
+    }
+    return this.nextReportAt <= Date.now();
+  }
+
+  getSchedule() {
+    return `${config.MARKET_REPORT_MODE}:${config.MARKET_REPORT_HOUR}`;
+  }
+
+  async scheduleNext() {
+    this.nextReportAt = getNextDigestTime(config.MARKET_REPORT_MODE, Date.now(), config.MARKET_REPORT_HOUR);
+    this.schedule = this.getSchedule();
+    await this.save();
+    logger.info(`Next market report at ${new Date(this.nextReportAt).toISOString()}`);
+  }
+
+  async markSent() {
+    this.lastReportAt = Date.now();
+    await this.scheduleNext();
+  }
+}
+
+module.exports = new MarketReport();
+module.exports.buildMarketSummary = buildMarketSummary;
+module.exports.filterSummary = filterSummary;
@@ -1,46 +1,117 @@
 const config = require('./config');
+const coordinatorDirectory = require('./coordinatorDirectory');
+const { compareOffers } = require('./marketContext');
+const { getOfferCoordinates } = require('./geoFilter');
+const { renderTemplate } = require('./messageTemplate');
+const { getTranslator } = require('./i18n');
+const { formatZonedTime } = require('./notificationSchedule');
 
-// Language strings
-const STRINGS = {
-  EN: {
-    buy: '🟢 BUY',
-    sell: '🔴 SELL',
-    variable: 'Variable',
-    market: 'Market price',
-    amount: 'Amount',
-    price: 'Price',
-    payment: 'Payment',
-    expiresAt: 'Expires in',
-    link: 'Link',
-    seeOffer: 'See offer',
-    offer: 'Offer'
-  },
-  ES: {
-    buy: '🟢 COMPRA',
-    sell: '🔴 VENTA',
-    variable: 'Variable',
-    market: 'A mercado',
-    amount: 'Monto',
-    price: 'Precio',
-    payment: 'Pago',
-    expiresAt: 'Expira en',
-    link: 'Link',
-    seeOffer: 'Ver oferta',
-    offer: 'Oferta'
+// Link to an offer - uses the configurable onion URL with format: /order/[coordinator]/[id]
+// Testnet offers link to the testnet client when one is configured
+function getOfferLink(offer) {
+  const baseUrl = offer.network === 'testnet' && config.ROBOSATS_TESTNET_ONION_URL
+    ? config.ROBOSATS_TESTNET_ONION_URL
+    : config.ROBOSATS_ONION_URL;
+  return `${baseUrl}/order/${offer.coordinator}/${offer.id}`;
+}
+
+// OpenStreetMap link to the meeting location of an in-person offer
+function getMapLink({ latitude, longitude }) {
+  return `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=14/${latitude}/${longitude}`;
+}
+
+// "850 m", "3.2 km", "48 km"
+function formatDistance(distanceKm) {
+  if (distanceKm < 1) {
+    return `${Math.round(distanceKm * 1000)} m`;
   }
-};
+  return `${distanceKm < 10 ? distanceKm.toFixed(1) : Math.round(distanceKm)} km`;
+}
+
+// Location of offers with coordinates: the distance from home (when set) and a map link
+function describeLocation(offer, t) {
+  const coordinates = getOfferCoordinates(offer);
+  if (!coordinates) return '';
+  const distance = offer.distanceKm !== undefined && offer.distanceKm !== null
+    ? `${t('distanceAway', { distance: formatDistance(offer.distanceKm) })} · `
+    : '';
+  return `${distance}${getMapLink(coordinates)}`;
+}
+
+function formatLocation(offer, t) {
+  const location = describeLocation(offer, t);
+  return location ? `📍 *${t('location')}:* ${location}` : '';
+}
+
+// Marker line for offers that aren't on mainnet, so test notifications can't be mistaken for real ones
+function getNetworkMarker(network) {
+  return network && network !== 'mainnet' ? `🧪 *${network.toUpperCase()}*` : '';
+}
+
+// Market context lines for an offer annotated by marketContext.annotateOffers:
+// its rank among live offers of the same currency and side, and the market price or average premium
+function formatMarketContext(offer, t) {
+  const market = offer.market;
+  if (!market) return [];
+  const lines = [];
+  
+  if (market.rank) {
+    const side = offer.type === 0 ? t('buySide') : t('sellSide');
+    let ranking;
+    if (market.count === 1) {
+      ranking = t('onlyOffer', { side, currency: offer.currencyCode });
+    } else if (market.rank === 1) {
+      ranking = t('bestOffer', { side, currency: offer.currencyCode, count: market.count });
+    } else {
+      const difference = parseFloat(offer.premium) - market.bestPremium;
+      ranking = t(difference > 0 ? 'rankedOfferAbove' : 'rankedOfferBelow', {
+        rank: t.ordinal(market.rank),
+        side,
+        currency: offer.currencyCode,
+        difference: formatPremium(Math.abs(difference))
+      });
+    }
+    lines.push(`🏆 ${ranking}`);
+  }
+  
+  if (market.marketPrice) {
+    lines.push(`📊 *${t('marketPrice')}:* ${Math.round(market.marketPrice).toLocaleString()} ${offer.currencyCode}`);
+  } else if (market.averagePremium !== null && market.averagePremium !== undefined) {
+    lines.push(`📊 *${t('averagePremium')}:* ${formatPremium(market.averagePremium)}`);
+  }
+  return lines;
+}
+
+// Relative time until something happens, e.g. "1d 4h", "2h 30m", "25m"
+function formatTimeLeft(diffMs) {
+  const diffMinutes = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMinutes / 60);
+  const diffDays = Math.floor(diffHours / 24);
+  
+  if (diffDays > 0) {
+    const hours = diffHours % 24;
+    return hours > 0 ? `${diffDays}d ${hours}h` : `${diffDays}d`;
+  }
+  if (diffHours > 0) {
+    const minutes = diffMinutes % 60;
+    return minutes > 0 ? `${diffHours}h ${minutes}m` : `${diffHours}h`;
+  }
+  return `${diffMinutes}m`;
+}
 
-function formatOffer(offer) {
-  const strings = STRINGS[config.LANGUAGE];
+// duplicates: the same maker's identical offers on other coordinators, listed in the same message
+// template: a message template (see messageTemplate.js), '' for the built-in layout
+function formatOffer(offer, language = config.LANGUAGE, duplicates = [], template = config.MESSAGE_TEMPLATE) {
+  const t = getTranslator(language);
   
   // Type: 0 = BUY, 1 = SELL
-  const type = offer.type === 0 ? strings.buy : strings.sell;
+  const type = offer.type === 0 ? t('buy') : t('sell');
   
   // Get currency code from offer (added by robosatsClient)
   const currencyCode = offer.currencyCode;
   
   // Format fiat amount - handle ranges
-  let fiatAmount = strings.variable;
+  let fiatAmount = t('variable');
   let satsAmount = '';
   
   if (offer.has_range && offer.min_amount && offer.max_amount) {
@@ -93,41 +164,16 @@ function formatOffer(offer) {
     // For now, display as-is but this might need adjustment based on API documentation
     priceValue = Math.round(priceValue);
   }
-  const price = offer.price ? `${priceValue.toLocaleString()} ${currencyCode}` : strings.market;
+  const price = offer.price ? `${priceValue.toLocaleString()} ${currencyCode}` : t('market');
   const premium = offer.premium ? `${parseFloat(offer.premium) > 0 ? '+' : ''}${offer.premium}%` : '';
   
   // Format expiration time if available - show relative time (e.g., "in 2h 30m")
   let expiresInfo = '';
   if (offer.expires_at) {
     try {
-      const expiresDate = new Date(offer.expires_at);
-      const now = new Date();
-      const diffMs = expiresDate - now;
-      
+      const diffMs = new Date(offer.expires_at) - new Date();
       if (diffMs > 0) {
-        const diffSeconds = Math.floor(diffMs / 1000);
-        const diffMinutes = Math.floor(diffSeconds / 60);
-        const diffHours = Math.floor(diffMinutes / 60);
-        const diffDays = Math.floor(diffHours / 24);
-        
-        let timeString = '';
-        if (diffDays > 0) {
-          const hours = diffHours % 24;
-          timeString = `${diffDays}d`;
-          if (hours > 0) {
-            timeString += ` ${hours}h`;
-          }
-        } else if (diffHours > 0) {
-          const minutes = diffMinutes % 60;
-          timeString = `${diffHours}h`;
-          if (minutes > 0) {
-            timeString += ` ${minutes}m`;
-          }
-        } else {
-          timeString = `${diffMinutes}m`;
-        }
-        
-        expiresInfo = `${timeString}`;
+        expiresInfo = formatTimeLeft(diffMs);
       }
     } catch (e) {
       // Ignore date parsing/formatting errors
@@ -135,7 +181,7 @@ function formatOffer(offer) {
   }
   
   // Format payment methods - handle arrays or strings with multiple methods
-  let paymentMethod = strings.seeOffer;
+  let paymentMethod = t('seeOffer');
   if (offer.payment_method) {
     if (Array.isArray(offer.payment_method)) {
       // If it's an array, join with commas
@@ -152,22 +198,325 @@ function formatOffer(offer) {
     }
   }
   
-  // Show coordinator (always present from robosatsClient)
-  const coordinatorId = offer.coordinator;
-  const coordinatorName = config.COORDINATOR_MAP[coordinatorId] || coordinatorId;
+  // Show coordinator (always present from robosatsClient), or every coordinator the offer is posted on
+  const members = [offer, ...duplicates];
+  const coordinatorName = members.map(member => coordinatorDirectory.getName(member.coordinator)).join(', ');
     
-  // Generate link - use configurable onion URL with format: /order/[coordinator]/[id]
-  const link = `${config.ROBOSATS_ONION_URL}/order/${coordinatorId}/${offer.id}`;
+  const links = duplicates.length > 0
+    ? members.map(member => `🔗 ${coordinatorDirectory.getName(member.coordinator)} · ${getOfferLink(member)}`).join('\n')
+    : `🔗 ${getOfferLink(offer)}`;
+  const networkMarker = getNetworkMarker(offer.network);
+  const marketLines = formatMarketContext(offer, t);
   
+  if (template) {
+    return renderTemplate(template, {
+      side: offer.type === 0 ? t('buySide') : t('sellSide'),
+      buy: offer.type === 0 ? 'yes' : '',
+      sell: offer.type === 1 ? 'yes' : '',
+      currency: currencyCode,
+      amount: fiatAmount,
+      sats: satsAmount,
+      price: offer.price ? price : '',
+      premium,
+      payment: paymentMethod,
+      coordinator: coordinatorName,
+      expires_in: expiresInfo,
+      link: duplicates.length > 0
+        ? members.map(member => `${coordinatorDirectory.getName(member.coordinator)} · ${getOfferLink(member)}`).join('\n')
+        : getOfferLink(offer),
+      market: marketLines.join('\n'),
+      distance: offer.distanceKm !== undefined && offer.distanceKm !== null ? formatDistance(offer.distanceKm) : '',
+      location: describeLocation(offer, t),
+      network: offer.network && offer.network !== 'mainnet' ? offer.network.toUpperCase() : '',
+      id: String(offer.id)
+    });
+  }
+  
+  const location = formatLocation(offer, t);
   return `
-*${type} ${strings.offer} (${coordinatorName})*
+${networkMarker ? `${networkMarker}\n` : ''}*${type} ${t('offer')} (${coordinatorName})*
 ━━━━━━━━━━━━━━━━━
-💰 *${strings.amount}:* ${amount}
-💵 *${strings.price}:* ${price}${premium ? ` (${premium})` : ''}
-🏦 *${strings.payment}:* ${paymentMethod}
-⏳ *${strings.expiresAt}:* ${expiresInfo}
-🔗 ${link}
+💰 *${t('amount')}:* ${amount}
+💵 *${t('price')}:* ${price}${premium ? ` (${premium})` : ''}
+${marketLines.map(line => `${line}\n`).join('')}🏦 *${t('payment')}:* ${paymentMethod}
+${location ? `${location}\n` : ''}${expiresInfo ? `⏳ *${t('expiresAt')}:* ${expiresInfo}\n` : ''}${links}
 `.trim();
 }
 
-module.exports = { formatOffer };
+// Format a timestamp as HH:MM (24h) in the timezone of the notification schedule
+function formatTime(timestamp) {
+  return formatZonedTime(timestamp, config.NOTIFICATION_SCHEDULE.timezone);
+}
+
+// Status line for an offer that left the order book
+// status: { reason: 'expired', at: timestamp } or { reason: 'inactive' }
+// The public order book can't tell a taken offer from a cancelled one
+function formatOfferStatus(status, language = config.LANGUAGE) {
+  const t = getTranslator(language);
+  if (status.reason === 'expired') {
+    return `⌛ *${t('expiredAt')} ${formatTime(status.at || Date.now())}*`;
+  }
+  return `❌ *${t('takenOrCancelled')}*`;
+}
+
+// Struck-through copy of an offer message followed by its status line
+// Separator lines (no letters or digits), link and location lines and the network marker are left
+// as they are, and the expiry countdown is dropped
+function formatInactiveOffer(offer, status, language = config.LANGUAGE, template = config.MESSAGE_TEMPLATE) {
+  const lines = formatOffer({ ...offer, expires_at: null }, language, [], template).split('\n')
+    .map(line => {
+      if (!/[\p{L}\p{N}]/u.test(line) || line.includes('://') || /^(🔗|📍|🧪)/u.test(line)) {
+        return line;
+      }
+      // "~" would end the strikethrough early, so approximate amounts use "≈" instead
+      return `~${line.trim().replace(/~/g, '≈')}~`;
+    });
+  return `${lines.join('\n')}\n\n${formatOfferStatus(status, language)}`;
+}
+
+// Premium with at least one decimal (3 -> "3.0%", 2.25 -> "2.25%")
+function formatPremium(value) {
+  const rounded = value.toFixed(2);
+  return `${rounded.endsWith('0') ? value.toFixed(1) : rounded}%`;
+}
+
+function formatAmountRange(range) {
+  if (range.min === null) {
+    return '?';
+  }
+  if (range.max === null || range.min === range.max) {
+    return range.min.toLocaleString();
+  }
+  return `${range.min.toLocaleString()} - ${range.max.toLocaleString()}`;
+}
+
+// Describe changes from offerChanges.diffOffers, e.g. "premium 3.0% → 1.5%, price 51,250 → 52,500 USD"
+function formatOfferChanges(changes, offer, language = config.LANGUAGE) {
+  const t = getTranslator(language);
+  return changes.map(change => {
+    switch (change.field) {
+      case 'premium':
+        return `${t('premium').toLowerCase()} ${formatPremium(change.from)} → ${formatPremium(change.to)}`;
+      case 'price':
+        return `${t('price').toLowerCase()} ${Math.round(change.from).toLocaleString()} → ${Math.round(change.to).toLocaleString()} ${offer.currencyCode}`;
+      case 'amount':
+        return `${t('amount').toLowerCase()} ${formatAmountRange(change.from)} → ${formatAmountRange(change.to)} ${offer.currencyCode}`;
+      default:
+        return `${t('payment').toLowerCase()} ${change.from || '?'} → ${change.to || '?'}`;
+    }
+  }).join(', ');
+}
+
+// Offer message re-rendered from the live offer, followed by what changed since it was sent
+// (with duplicates, the note names the coordinator whose offer changed)
+function formatChangedOffer(offer, changes, language = config.LANGUAGE, duplicates = [], template = config.MESSAGE_TEMPLATE) {
+  const t = getTranslator(language);
+  const coordinator = duplicates.length > 0 ? ` · ${coordinatorDirectory.getName(offer.coordinator)}` : '';
+  return `${formatOffer(offer, language, duplicates, template)}\n\n✏️ *${t('updated')}${coordinator}:* ${formatOfferChanges(changes, offer, language)}`;
+}
+
+// Longest payment method text shown in a digest row
+const DIGEST_PAYMENT_LENGTH = 18;
+
+// Digest row columns for an offer: premium, fiat amount (or range) and payment methods
+function getDigestColumns(offer, t) {
+  const premiumValue = parseFloat(offer.premium);
+  const premium = isNaN(premiumValue) ? '' : `${premiumValue > 0 ? '+' : ''}${formatPremium(premiumValue)}`;
+  
+  let amount = t('variable');
+  if (offer.has_range && offer.min_amount && offer.max_amount) {
+    amount = `${parseFloat(offer.min_amount).toLocaleString()}-${parseFloat(offer.max_amount).toLocaleString()}`;
+  } else if (offer.amount) {
+    amount = parseFloat(offer.amount).toLocaleString();
+  }
+  
+  let payment = Array.isArray(offer.payment_method)
+    ? offer.payment_method.join(', ')
+    : String(offer.payment_method || t('seeOffer'));
+  if (payment.length > DIGEST_PAYMENT_LENGTH) {
+    payment = `${payment.slice(0, DIGEST_PAYMENT_LENGTH - 1)}…`;
+  }
+  
+  return [premium, amount, payment];
+}
+
+// Best offers first for the taker
+function compareDigestItems(a, b) {
+  return compareOffers(a.offer, b.offer);
+}
+
+// Compact digest of several offers, grouped by currency and side and sorted by premium
+// items: [{ offer, status, changes }] - offers with a status (taken/expired) are struck through
+// and offers with changes get a note of what changed
+function formatDigest(items, language = config.LANGUAGE) {
+  const t = getTranslator(language);
+  
+  const groups = new Map();
+  items.forEach(item => {
+    const key = `${item.offer.currencyCode}:${item.offer.type}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  });
+  
+  // Currencies alphabetically, buy offers before sell offers
+  const keys = [...groups.keys()].sort((a, b) => {
+    const [currencyA, typeA] = a.split(':');
+    const [currencyB, typeB] = b.split(':');
+    return currencyA.localeCompare(currencyB) || typeA - typeB;
+  });
+  
+  const sections = keys.map(key => {
+    const groupItems = groups.get(key).sort(compareDigestItems);
+    const { offer: first } = groupItems[0];
+    const type = first.type === 0 ? t('buy') : t('sell');
+    
+    // Pad columns so rows line up in monospace
+    const rows = groupItems.map(item => getDigestColumns(item.offer, t));
+    const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length)));
+    
+    const lines = [`*${type} · ${first.currencyCode}*`];
+    groupItems.forEach((item, index) => {
+      const row = rows[index];
+      const text = `${row[0].padEnd(widths[0])} │ ${row[1].padStart(widths[1])} │ ${row[2]}`;
+      if (item.status) {
+        lines.push(`~${text.replace(/~/g, '≈')}~ ${formatOfferStatus(item.status, language)}`);
+        return;
+      }
+      const coordinatorName = coordinatorDirectory.getName(item.offer.coordinator);
+      lines.push(`\`\`\`${text}\`\`\``);
+      const distance = item.offer.distanceKm !== undefined && item.offer.distanceKm !== null
+        ? ` · 📍 ${formatDistance(item.offer.distanceKm)}`
+        : '';
+      lines.push(`🔗 ${coordinatorName} · ${getOfferLink(item.offer)}${distance}`);
+      if (item.changes && item.changes.length > 0) {
+        lines.push(`✏️ ${formatOfferChanges(item.changes, item.offer, language)}`);
+      }
+    });
+    return lines.join('\n');
+  });
+  
+  const networkMarker = getNetworkMarker(items.map(item => item.offer.network).find(network => network && network !== 'mainnet'));
+  return `${networkMarker ? `${networkMarker}\n` : ''}*📋 ${t('newOffers')} (${items.length})*\n━━━━━━━━━━━━━━━━━\n${sections.join('\n\n')}`;
+}
+
+// Reminder sent as a reply to an offer's message (or digest) when the offer is about to expire
+// The offer line identifies the offer when the reply quotes a digest of several offers
+function formatExpiryReminder(offer, expiresAt, language = config.LANGUAGE) {
+  const t = getTranslator(language);
+  const type = offer.type === 0 ? t('buy') : t('sell');
+  const [premium, amount] = getDigestColumns(offer, t);
+  const timeLeft = formatTimeLeft(Math.max(expiresAt - Date.now(), 0));
+  const coordinatorName = coordinatorDirectory.getName(offer.coordinator);
+  return [
+    `⏰ *${t('stillOpen')} · ${t('expiresAt').toLowerCase()} ${timeLeft}*`,
+    `${type} · ${amount} ${offer.currencyCode}${premium ? ` · ${premium}` : ''}`,
+    `🔗 ${coordinatorName} · ${getOfferLink(offer)}`
+  ].join('\n');
+}
+
+// Price alert message: the rule, the premium that triggered it and the best matching offers
+// alert: { rule, value, count, offers } as queued by the check loop
+function formatAlert(alert, language = config.LANGUAGE) {
+  const t = getTranslator(language);
+  const { rule } = alert;
+  const side = rule.side === 'buy' ? t('buySide') : t('sellSide');
+  const premium = value => `${value > 0 ? '+' : ''}${formatPremium(value)}`;
+  
+  const lines = [`*🚨 ${t('priceAlert')}${rule.name ? ` · ${rule.name}` : ''}*`, '━━━━━━━━━━━━━━━━━'];
+  lines.push(t(rule.condition === 'below' ? 'alertRuleBelow' : 'alertRuleAbove', {
+    scope: t(rule.target === 'best' ? 'alertBest' : 'alertAny'),
+    side,
+    currency: rule.currency,
+    premium: premium(rule.premium)
+  }));
+  lines.push(`📊 *${t('alertValue', { premium: premium(alert.value), count: alert.count })}*`);
+  alert.offers.forEach(offer => {
+    const [offerPremium, amount, payment] = getDigestColumns(offer, t);
+    lines.push('');
+    lines.push(`\`\`\`${offerPremium} │ ${amount} ${rule.currency} │ ${payment}\`\`\``);
+    lines.push(`🔗 ${coordinatorDirectory.getName(offer.coordinator)} · ${getOfferLink(offer)}`);
+  });
+  
+  const networkMarker = getNetworkMarker(alert.offers.map(offer => offer.network).find(network => network && network !== 'mainnet'));
+  return `${networkMarker ? `${networkMarker}\n` : ''}${lines.join('\n')}`;
+}
+
+// Market report: per currency the offer count and best premium of each side, the spread between them
+// and a per-coordinator table of best premiums
+// summary: { currencies: [{ currency, buy, sell, spread, coordinators }] } as built by marketReport
+function formatMarketSummary(summary, language = config.LANGUAGE) {
+  const t = getTranslator(language);
+  const premium = value => value === null ? '—' : `${value > 0 ? '+' : ''}${formatPremium(value)}`;
+  const best = side => side.bestPremium === null
+    ? '—'
+    : `${premium(side.bestPremium)} (${coordinatorDirectory.getName(side.coordinator)})`;
+  
+  const sections = summary.currencies.map(entry => {
+    const lines = [`*${entry.currency}* · ${t('offerCounts', { buy: entry.buy.count, sell: entry.sell.count })}`];
+    if (entry.buy.count === 0 && entry.sell.count === 0) {
+      lines.push(t('noOffers'));
+      return lines.join('\n');
+    }
+    lines.push(`${t('bestSide', { side: t('buySide') })}: ${best(entry.buy)}`);
+    lines.push(`${t('bestSide', { side: t('sellSide') })}: ${best(entry.sell)}`);
+    if (entry.spread !== null) {
+      const arbitrage = entry.spread < 0 ? ` ⚡ ${t('arbitrage')}` : '';
+      lines.push(`${t('spread')}: ${premium(entry.spread)}${arbitrage}`);
+    }
+    
+    // Pad columns so rows line up in monospace
+    const rows = entry.coordinators.map(coordinator => [
+      coordinator.name,
+      `${t('buySide')} ${premium(coordinator.buy.bestPremium)}`,
+      `${t('sellSide')} ${premium(coordinator.sell.bestPremium)}`
+    ]);
+    const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length)));
+    rows.forEach(row => {
+      lines.push(`\`\`\`${row[0].padEnd(widths[0])} │ ${row[1].padEnd(widths[1])} │ ${row[2]}\`\`\``);
+    });
+    return lines.join('\n');
+  });
+  
+  return `*📊 ${t('marketSummary')}*\n━━━━━━━━━━━━━━━━━\n${sections.join('\n\n')}`;
+}
+
+// Sample offers the web UI previews message templates with: a fixed-amount BUY with market context,
+// and an in-person SELL range offer without a fixed price
+function getPreviewOffers() {
+  const expiresAt = minutes => new Date(Date.now() + minutes * 60000).toISOString();
+  return [
+    {
+      id: 1001, type: 0, currencyCode: 'USD', coordinator: 'moon', network: 'mainnet',
+      amount: '250', has_range: false, payment_method: 'Strike Revolut', premium: '2.50',
+      price: 51250, satoshis_now: 487804, expires_at: expiresAt(150),
+      market: { rank: 1, count: 4, bestPremium: 2.5, marketPrice: 50000, averagePremium: null }
+    },
+    {
+      id: 2002, type: 1, currencyCode: 'EUR', coordinator: 'temple', network: 'mainnet',
+      has_range: true, min_amount: '100', max_amount: '500', payment_method: 'Cash F2F', premium: '-1.00',
+      price_now: 46500, expires_at: expiresAt(25),
+      latitude: 40.4168, longitude: -3.7038, distanceKm: 3.2
+    }
+  ];
+}
+
+// Messages for the sample offers rendered with a template ('' for the built-in layout)
+function formatTemplatePreview(template, language = config.LANGUAGE) {
+  return getPreviewOffers().map(offer => formatOffer(offer, language, [], template));
+}
+
+module.exports = {
+  formatOffer,
+  formatTemplatePreview,
+  formatDigest,
+  formatAlert,
+  formatMarketSummary,
+  formatExpiryReminder,
+  formatOfferStatus,
+  formatInactiveOffer,
+  formatOfferChanges,
+  formatChangedOffer,
+  getOfferLink
+};
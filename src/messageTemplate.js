@@ -0,0 +1,120 @@
+// Offer message templates
+// "{name}" is replaced by a placeholder's value, "{#name}...{/name}" is only shown when the value is set
+// and "{^name}...{/name}" only when it isn't; "{{" and "}}" are literal braces. Any other text (emoji,
+// WhatsApp *bold* and _italics_, line breaks) is kept as written.
+
+const { uiError } = require('./i18n');
+
+const MAX_TEMPLATE_LENGTH = 2000;
+
+// Placeholder names and what they hold (shown in the web UI's template editor)
+const TEMPLATE_PLACEHOLDERS = {
+  side: 'BUY or SELL, in the message language',
+  buy: 'Set for buy offers, e.g. {#buy}🟢{/buy}',
+  sell: 'Set for sell offers, e.g. {#sell}🔴{/sell}',
+  currency: 'Currency code, e.g. USD',
+  amount: 'Fiat amount or range, e.g. 100 - 500 USD',
+  sats: 'Amount in sats, e.g. ~200,000 sats',
+  price: 'Price, e.g. 51,250 USD (empty when the offer has none)',
+  premium: 'Premium, e.g. +2.5%',
+  payment: 'Payment methods',
+  coordinator: 'Coordinator name (every coordinator of a merged offer)',
+  expires_in: 'Time until the offer expires, e.g. 2h 30m',
+  link: 'Link to the offer (one line per coordinator for a merged offer)',
+  market: 'Rank among live offers and market price',
+  distance: 'Distance of an in-person offer from the home location, e.g. 3.2 km',
+  location: 'Distance and map link of an in-person offer',
+  network: 'TESTNET for offers that aren\'t on mainnet',
+  id: 'Order ID'
+};
+
+const TOKEN_PATTERN = /\{\{|\}\}|\{([#^/]?)([a-z_]+)\}/g;
+
+// Parse a template into text and placeholder nodes - throws on unknown placeholders and unbalanced sections
+// Nodes: 'text', { name } or { name, inverted, children }
+function parseTemplate(text) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push(text.slice(lastIndex, match.index));
+    }
+    lastIndex = match.index + match[0].length;
+
+    if (match[0] === '{{' || match[0] === '}}') {
+      current.children.push(match[0][0]);
+      continue;
+    }
+
+    const [, modifier, name] = match;
+    if (!Object.prototype.hasOwnProperty.call(TEMPLATE_PLACEHOLDERS, name)) {
+      throw uiError('settings.templateUnknownPlaceholder', { placeholder: `{${name}}` });
+    }
+    if (modifier === '/') {
+      if (current === root || current.name !== name) {
+        throw uiError('settings.templateUnmatchedClose', { close: `{/${name}}`, open: `{#${name}}`, inverted: `{^${name}}` });
+      }
+      stack.pop();
+    } else if (modifier) {
+      const section = { name, inverted: modifier === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else {
+      current.children.push({ name });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw uiError('settings.templateNotClosed', { open: `{${open.inverted ? '^' : '#'}${open.name}}`, close: `{/${open.name}}` });
+  }
+  if (lastIndex < text.length) {
+    root.children.push(text.slice(lastIndex));
+  }
+  return root.children;
+}
+
+function renderNodes(nodes, values) {
+  return nodes.map(node => {
+    if (typeof node === 'string') {
+      return node;
+    }
+    const value = values[node.name] || '';
+    if (!node.children) {
+      return value;
+    }
+    return Boolean(value) !== node.inverted ? renderNodes(node.children, values) : '';
+  }).join('');
+}
+
+// Render a template with placeholder values (missing values are empty)
+function renderTemplate(template, values) {
+  return renderNodes(parseTemplate(template), values).trim();
+}
+
+// Validate a template setting - returns it ('' for the built-in layout), throws with the reason otherwise
+function normalizeTemplate(template) {
+  if (template === undefined || template === null) {
+    return '';
+  }
+  if (typeof template !== 'string') {
+    throw uiError('settings.templateNotText');
+  }
+  const text = template.trim();
+  if (text.length > MAX_TEMPLATE_LENGTH) {
+    throw uiError('settings.templateTooLong', { max: MAX_TEMPLATE_LENGTH });
+  }
+  parseTemplate(text);
+  return text;
+}
+
+module.exports = {
+  MAX_TEMPLATE_LENGTH,
+  TEMPLATE_PLACEHOLDERS,
+  parseTemplate,
+  renderTemplate,
+  normalizeTemplate
+};
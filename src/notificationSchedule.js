@@ -0,0 +1,204 @@
+// Weekly notification schedule: per-weekday active windows in a configurable timezone.
+// Outside the windows (quiet hours) offers are still tracked but notifications are held.
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default schedule - disabled, active all day every day
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  timezone: 'UTC',
+  days: DAY_KEYS.reduce((days, day) => ({ ...days, [day]: { start: '00:00', end: '00:00' } }), {})
+};
+
+// "HH:MM" -> minutes since midnight
+function parseTime(value, name) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  if (!match) {
+    throw new Error(`Invalid schedule time for ${name}: ${value}. Use HH:MM`);
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// An end time of 00:00 means the end of the day, and an end time before the start time
+// means the window runs past midnight into the next day (e.g. 22:00-07:00)
+function getWindowMinutes(window) {
+  const start = parseTime(window.start);
+  const end = parseTime(window.end) || 24 * 60;
+  return { start, end, overnight: end < start };
+}
+
+function validateTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new Error(`Invalid schedule timezone: ${timezone}`);
+  }
+}
+
+// Validate and normalize a raw schedule (from config.json or the web UI)
+// Each day holds an active window { start, end } or null for a quiet day
+function normalizeSchedule(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return JSON.parse(JSON.stringify(DEFAULT_SCHEDULE));
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Notification schedule must be an object');
+  }
+
+  const timezone = raw.timezone || DEFAULT_SCHEDULE.timezone;
+  validateTimezone(timezone);
+
+  const rawDays = raw.days || {};
+  const days = {};
+  DAY_KEYS.forEach(day => {
+    const window = rawDays[day] === undefined ? DEFAULT_SCHEDULE.days[day] : rawDays[day];
+    if (!window) {
+      days[day] = null;
+      return;
+    }
+    const start = parseTime(window.start, `${day} start`);
+    const end = parseTime(window.end, `${day} end`) || 24 * 60;
+    if (start === end) {
+      throw new Error(`Invalid schedule window for ${day}: the start and end time are both ${window.start}`);
+    }
+    days[day] = { start: window.start, end: window.end };
+  });
+
+  return {
+    enabled: raw.enabled === true || raw.enabled === 'true',
+    timezone,
+    days
+  };
+}
+
+// Cached formatters - creating one per call is slow
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+// Wall-clock date and time of a timestamp in a timezone
+function getZonedParts(timestamp, timezone) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    weekday: DAY_KEYS.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+// Wall-clock time of a timestamp in a timezone as HH:MM (24h)
+function formatZonedTime(timestamp, timezone) {
+  const { minutes } = getZonedParts(timestamp, timezone);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Offset of a timezone from UTC (ms) at a timestamp
+function getOffset(timestamp, timezone) {
+  const minute = Math.floor(timestamp / 60000) * 60000;
+  const parts = getZonedParts(minute, timezone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes) - minute;
+}
+
+// Timestamp of a wall-clock time in a timezone (the day may overflow into the next month)
+function zonedTimeToTimestamp(year, month, day, minutes, timezone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = getOffset(guess, timezone);
+  const adjustedOffset = getOffset(guess - offset, timezone);
+  // Around DST changes the offset at the result can differ from the offset at the guess
+  return guess - adjustedOffset;
+}
+
+// Whether notifications may be sent at a timestamp - inside today's window, or inside the
+// part of yesterday's overnight window that runs into today
+function isActive(schedule, timestamp = Date.now()) {
+  if (!schedule || !schedule.enabled) {
+    return true;
+  }
+  const parts = getZonedParts(timestamp, schedule.timezone);
+  const window = schedule.days[DAY_KEYS[parts.weekday]];
+  if (window) {
+    const { start, end, overnight } = getWindowMinutes(window);
+    if (overnight ? parts.minutes >= start : parts.minutes >= start && parts.minutes < end) {
+      return true;
+    }
+  }
+  const previous = schedule.days[DAY_KEYS[(parts.weekday + 6) % 7]];
+  if (previous) {
+    const { end, overnight } = getWindowMinutes(previous);
+    return overnight && parts.minutes < end;
+  }
+  return false;
+}
+
+// Next time the schedule switches between active and quiet, or null if it never does
+function getNextChange(schedule, timestamp = Date.now()) {
+  if (!schedule || !schedule.enabled) {
+    return null;
+  }
+
+  const active = isActive(schedule, timestamp);
+  const today = getZonedParts(timestamp, schedule.timezone);
+
+  // Candidates: midnight and the window boundaries of yesterday and each of the next 8 days
+  // (an overnight window ends on the following day)
+  const candidates = [];
+  const addCandidate = (offset, minute) => {
+    candidates.push(zonedTimeToTimestamp(today.year, today.month, today.day + offset, minute, schedule.timezone));
+  };
+  for (let offset = -1; offset <= 8; offset++) {
+    const weekday = DAY_KEYS[(today.weekday + offset + 7) % 7];
+    addCandidate(offset, 0);
+    if (schedule.days[weekday]) {
+      const { start, end, overnight } = getWindowMinutes(schedule.days[weekday]);
+      addCandidate(offset, start);
+      addCandidate(overnight ? offset + 1 : offset, end);
+    }
+  }
+
+  const next = candidates
+    .filter(candidate => candidate > timestamp && candidate - timestamp <= 8 * DAY_MS)
+    .sort((a, b) => a - b)
+    .find(candidate => isActive(schedule, candidate) !== active);
+  return next || null;
+}
+
+// Schedule state for the web UI
+function getScheduleState(schedule, timestamp = Date.now()) {
+  return {
+    enabled: Boolean(schedule && schedule.enabled),
+    active: isActive(schedule, timestamp),
+    timezone: schedule ? schedule.timezone : DEFAULT_SCHEDULE.timezone,
+    nextChange: getNextChange(schedule, timestamp)
+  };
+}
+
+module.exports = {
+  DAY_KEYS,
+  DEFAULT_SCHEDULE,
+  normalizeSchedule,
+  isActive,
+  getNextChange,
+  getScheduleState,
+  formatZonedTime
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+// Fields that make up a notification - a change in any of them changes the fingerprint
+const FINGERPRINT_FIELDS = [
+  'type', 'amount', 'has_range', 'min_amount', 'max_amount', 'payment_method', 'premium', 'price', 'price_now'
+];
+
+// Short hash of the notified fields, stored with each tracked offer
+function fingerprint(offer) {
+  const values = FINGERPRINT_FIELDS.map(field => (offer[field] === undefined ? null : offer[field]));
+  return crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex').slice(0, 16);
+}
+
+function currentPrice(offer) {
+  const price = offer.price_now !== undefined && offer.price_now !== null ? offer.price_now : offer.price;
+  return price ? parseFloat(price) : null;
+}
+
+function paymentMethods(offer) {
+  return Array.isArray(offer.payment_method)
+    ? offer.payment_method.join(', ')
+    : String(offer.payment_method || '');
+}
+
+// Missing or unparseable amounts are null, so they compare equal from one check to the next
+function parseAmount(value) {
+  const amount = parseFloat(value);
+  return isNaN(amount) ? null : amount;
+}
+
+function amountRange(offer) {
+  if (offer.has_range) {
+    return { min: parseAmount(offer.min_amount), max: parseAmount(offer.max_amount) };
+  }
+  const amount = parseAmount(offer.amount);
+  return { min: amount, max: amount };
+}
+
+// Compare the notified snapshot with the live offer
+// Premium and price only count when they move by at least the configured threshold
+// (premium in percentage points, price in percent); amounts and payment methods always count
+// Returns a list of { field, from, to } - empty when nothing significant changed
+function diffOffers(previous, current, thresholds) {
+  const changes = [];
+
+  const previousPremium = parseFloat(previous.premium);
+  const currentPremium = parseFloat(current.premium);
+  if (!isNaN(previousPremium) && !isNaN(currentPremium) &&
+      Math.abs(currentPremium - previousPremium) >= thresholds.premium &&
+      currentPremium !== previousPremium) {
+    changes.push({ field: 'premium', from: previousPremium, to: currentPremium });
+  }
+
+  const previousPrice = currentPrice(previous);
+  const price = currentPrice(current);
+  if (previousPrice && price && price !== previousPrice &&
+      (Math.abs(price - previousPrice) / previousPrice) * 100 >= thresholds.pricePercent) {
+    changes.push({ field: 'price', from: previousPrice, to: price });
+  }
+
+  const previousRange = amountRange(previous);
+  const range = amountRange(current);
+  if (previousRange.min !== range.min || previousRange.max !== range.max) {
+    changes.push({ field: 'amount', from: previousRange, to: range });
+  }
+
+  if (paymentMethods(previous) !== paymentMethods(current)) {
+    changes.push({ field: 'payment', from: paymentMethods(previous), to: paymentMethods(current) });
+  }
+
+  return changes;
+}
+
+module.exports = {
+  fingerprint,
+  diffOffers
+};
@@ -0,0 +1,58 @@
+// Cross-coordinator deduplication: makers often post the same offer on several coordinators at once.
+// Offers with the same maker nick, side, currency, amount (or range), premium and payment method
+// are sent as one message listing every coordinator.
+
+function getAmountText(offer) {
+  if (offer.has_range && offer.min_amount && offer.max_amount) {
+    return `${parseFloat(offer.min_amount)}-${parseFloat(offer.max_amount)}`;
+  }
+  return offer.amount ? String(parseFloat(offer.amount)) : '';
+}
+
+function getPaymentText(offer) {
+  const methods = Array.isArray(offer.payment_method) ? offer.payment_method.join(' ') : String(offer.payment_method || '');
+  return methods.trim().toLowerCase();
+}
+
+// Key shared by duplicates of an offer - null for offers without a maker nick (never grouped)
+function getDuplicateKey(offer) {
+  if (!offer.maker_nick) {
+    return null;
+  }
+  const premium = parseFloat(offer.premium);
+  return [
+    offer.network || 'mainnet',
+    offer.maker_nick,
+    offer.type,
+    offer.currency,
+    getAmountText(offer),
+    isNaN(premium) ? '' : premium,
+    getPaymentText(offer)
+  ].join('|');
+}
+
+// Split offers into groups of duplicates, in the order their first offer appears
+// An offer is only grouped with offers from other coordinators
+function groupDuplicates(offers) {
+  const groups = [];
+  const groupsByKey = new Map();
+  offers.forEach(offer => {
+    const key = getDuplicateKey(offer);
+    const group = key !== null ? groupsByKey.get(key) : null;
+    if (group && !group.some(member => member.coordinator === offer.coordinator)) {
+      group.push(offer);
+      return;
+    }
+    const newGroup = [offer];
+    groups.push(newGroup);
+    if (key !== null && !group) {
+      groupsByKey.set(key, newGroup);
+    }
+  });
+  return groups;
+}
+
+module.exports = {
+  getDuplicateKey,
+  groupDuplicates
+};
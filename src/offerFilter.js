@@ -0,0 +1,181 @@
+// Rule-based offer filters applied between fetching the order book and
+// detecting new offers. An empty/missing rule means "no restriction".
+
+const SIDES = ['any', 'buy', 'sell'];
+
+// Default filter set - matches every offer
+const DEFAULT_FILTERS = {
+  side: 'any',
+  premiumMin: null,
+  premiumMax: null,
+  fiatAmountMin: null,
+  fiatAmountMax: null,
+  satsAmountMin: null,
+  satsAmountMax: null,
+  paymentMethodsInclude: [],
+  paymentMethodsExclude: [],
+  coordinatorsInclude: [],
+  coordinatorsExclude: []
+};
+
+// Parse an optional numeric bound - empty values mean "no bound"
+function parseBound(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = parseFloat(value);
+  if (isNaN(number)) {
+    throw new Error(`Invalid filter value for ${name}: ${value}`);
+  }
+  return number;
+}
+
+// Accept either an array or a comma-separated string
+function parseList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items
+    .map(item => String(item).trim())
+    .filter(item => item !== '');
+}
+
+// Validate and normalize a raw filter object (from config.json or the web UI)
+function normalizeFilters(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return { ...DEFAULT_FILTERS };
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Offer filters must be an object');
+  }
+
+  const side = (raw.side || 'any').toLowerCase();
+  if (!SIDES.includes(side)) {
+    throw new Error(`Invalid filter side: ${raw.side}. Must be one of ${SIDES.join(', ')}`);
+  }
+
+  const filters = {
+    side,
+    premiumMin: parseBound(raw.premiumMin, 'premiumMin'),
+    premiumMax: parseBound(raw.premiumMax, 'premiumMax'),
+    fiatAmountMin: parseBound(raw.fiatAmountMin, 'fiatAmountMin'),
+    fiatAmountMax: parseBound(raw.fiatAmountMax, 'fiatAmountMax'),
+    satsAmountMin: parseBound(raw.satsAmountMin, 'satsAmountMin'),
+    satsAmountMax: parseBound(raw.satsAmountMax, 'satsAmountMax'),
+    paymentMethodsInclude: parseList(raw.paymentMethodsInclude),
+    paymentMethodsExclude: parseList(raw.paymentMethodsExclude),
+    coordinatorsInclude: parseList(raw.coordinatorsInclude),
+    coordinatorsExclude: parseList(raw.coordinatorsExclude)
+  };
+
+  // Reject inverted ranges so a typo doesn't silently mute every offer
+  [['premiumMin', 'premiumMax'], ['fiatAmountMin', 'fiatAmountMax'], ['satsAmountMin', 'satsAmountMax']]
+    .forEach(([minKey, maxKey]) => {
+      if (filters[minKey] !== null && filters[maxKey] !== null && filters[minKey] > filters[maxKey]) {
+        throw new Error(`Invalid filter range: ${minKey} (${filters[minKey]}) is greater than ${maxKey} (${filters[maxKey]})`);
+      }
+    });
+
+  return filters;
+}
+
+// Fiat amount of an offer as a { min, max } range (fixed amounts have min === max)
+function getFiatRange(offer) {
+  if (offer.has_range && offer.min_amount && offer.max_amount) {
+    return { min: parseFloat(offer.min_amount), max: parseFloat(offer.max_amount) };
+  }
+  if (offer.amount) {
+    const amount = parseFloat(offer.amount);
+    return { min: amount, max: amount };
+  }
+  return null;
+}
+
+// Sats amount of an offer as a { min, max } range
+// Range offers are converted from fiat using the current price (fiat per BTC)
+function getSatsRange(offer) {
+  if (offer.has_range && offer.min_amount && offer.max_amount) {
+    const price = offer.price_now !== undefined && offer.price_now !== null
+      ? offer.price_now
+      : offer.price;
+    if (!price || price <= 0) return null;
+    return {
+      min: Math.round((parseFloat(offer.min_amount) / price) * 100000000),
+      max: Math.round((parseFloat(offer.max_amount) / price) * 100000000)
+    };
+  }
+  const sats = offer.satoshis_now !== undefined && offer.satoshis_now !== null
+    ? offer.satoshis_now
+    : offer.satoshis;
+  if (sats === undefined || sats === null) return null;
+  return { min: sats, max: sats };
+}
+
+// A range matches when any part of it lies inside [min, max]
+function rangeMatches(range, min, max) {
+  if (min === null && max === null) return true;
+  if (!range) return false; // Bounds are set but the offer has no amount to compare
+  if (min !== null && range.max < min) return false;
+  if (max !== null && range.min > max) return false;
+  return true;
+}
+
+// Payment methods are free text ("SEPA Revolut", "Bank Transfer") - match case-insensitively
+function paymentMethodText(offer) {
+  if (Array.isArray(offer.payment_method)) {
+    return offer.payment_method.join(' ').toLowerCase();
+  }
+  return String(offer.payment_method || '').toLowerCase();
+}
+
+function matchesFilters(offer, filters) {
+  if (!filters) return true;
+
+  // Side: 0 = BUY, 1 = SELL
+  if (filters.side === 'buy' && offer.type !== 0) return false;
+  if (filters.side === 'sell' && offer.type !== 1) return false;
+
+  // Premium
+  if (filters.premiumMin !== null || filters.premiumMax !== null) {
+    const premium = parseFloat(offer.premium);
+    if (isNaN(premium)) return false;
+    if (filters.premiumMin !== null && premium < filters.premiumMin) return false;
+    if (filters.premiumMax !== null && premium > filters.premiumMax) return false;
+  }
+
+  // Amounts
+  if (!rangeMatches(getFiatRange(offer), filters.fiatAmountMin, filters.fiatAmountMax)) return false;
+  if (!rangeMatches(getSatsRange(offer), filters.satsAmountMin, filters.satsAmountMax)) return false;
+
+  // Payment methods
+  const methods = paymentMethodText(offer);
+  if (filters.paymentMethodsInclude.length > 0 &&
+      !filters.paymentMethodsInclude.some(method => methods.includes(method.toLowerCase()))) {
+    return false;
+  }
+  if (filters.paymentMethodsExclude.some(method => methods.includes(method.toLowerCase()))) {
+    return false;
+  }
+
+  // Coordinators
+  if (filters.coordinatorsInclude.length > 0 && !filters.coordinatorsInclude.includes(offer.coordinator)) {
+    return false;
+  }
+  if (filters.coordinatorsExclude.includes(offer.coordinator)) {
+    return false;
+  }
+
+  return true;
+}
+
+function applyFilters(offers, filters) {
+  return offers.filter(offer => matchesFilters(offer, filters));
+}
+
+module.exports = {
+  DEFAULT_FILTERS,
+  normalizeFilters,
+  matchesFilters,
+  applyFilters,
+  getFiatRange,
+  getSatsRange
+};
@@ -2,62 +2,159 @@ const fs = require('fs').promises;
 const path = require('path');
 const config = require('./config');
 const logger = require('./logger');
+const { fingerprint } = require('./offerChanges');
+const { uiError } = require('./i18n');
+
+// Offer fields kept with each tracked offer so its message can be re-rendered later
+// (e.g. struck through once the offer is taken)
+const SNAPSHOT_FIELDS = [
+  'id', 'type', 'currency', 'currencyCode', 'coordinator', 'network', 'amount', 'has_range', 'min_amount', 'max_amount',
+  'payment_method', 'premium', 'price', 'price_now', 'satoshis', 'satoshis_now', 'expires_at',
+  'latitude', 'longitude', 'distanceKm'
+];
+
+// Order IDs are only unique per coordinator, so offers are tracked by coordinator and ID ("moon/1234",
+// "testnet:moon/1234" for other networks)
+function getOfferKey(offer) {
+  // Mainnet keys have no prefix so offers tracked before networks existed keep their keys
+  const network = offer.network && offer.network !== 'mainnet' ? `${offer.network}:` : '';
+  return `${network}${offer.coordinator}/${offer.id}`;
+}
+
+// Offers tracked before keys included the coordinator are keyed by their bare order ID
+function isLegacyKey(key) {
+  return /^\d+$/.test(String(key));
+}
+
+// Expiration fallback for offers without an expires_at (24 hours)
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// seen_offers.json (and the seen offers of a backup) is stored as { version, offers }; state written
+// before versions existed is version 0. Each migration upgrades the offers from the previous version,
+// so any older state is brought up to date by running the chain from its version.
+const SEEN_OFFERS_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Store seen offers as a map of expiration times',
+    migrate: offers => {
+      if (!Array.isArray(offers)) return offers;
+      const expiresAt = Date.now() + DEFAULT_MAX_AGE;
+      const map = {};
+      offers.forEach(offerId => {
+        map[String(offerId)] = expiresAt;
+      });
+      return map;
+    }
+  },
+  {
+    version: 2,
+    description: 'Store each seen offer as an object with its message ID',
+    migrate: offers => {
+      Object.entries(offers).forEach(([offerKey, value]) => {
+        if (typeof value === 'number') {
+          offers[offerKey] = { offerId: parseInt(offerKey), expiresAt: value, sentAt: null, coordinator: null, messageId: null };
+        } else if (value && typeof value === 'object' && !value.offerId) {
+          value.offerId = parseInt(offerKey);
+        }
+      });
+      return offers;
+    }
+  },
+  {
+    version: 3,
+    description: 'Record messages per subscription',
+    migrate: offers => {
+      // Messages sent before subscriptions existed belong to the default subscription
+      Object.values(offers)
+        .filter(value => value && typeof value === 'object' && !value.messages)
+        .forEach(value => {
+          value.messages = {
+            [config.DEFAULT_SUBSCRIPTION_ID]: { messageId: value.messageId || null, sentAt: value.sentAt || null }
+          };
+          delete value.messageId;
+        });
+      return offers;
+    }
+  },
+  {
+    version: 4,
+    description: 'Key offers by coordinator and order ID',
+    migrate: offers => {
+      // Offers without a known coordinator keep their bare ID until they are seen again (see claimLegacyOffer)
+      const map = {};
+      Object.entries(offers).forEach(([offerKey, value]) => {
+        const key = isLegacyKey(offerKey) && value && value.coordinator
+          ? getOfferKey({ coordinator: value.coordinator, id: value.offerId })
+          : offerKey;
+        map[key] = value;
+      });
+      return map;
+    }
+  },
+  {
+    version: 5,
+    description: 'Record the network and change fingerprint of each offer',
+    migrate: offers => {
+      Object.values(offers)
+        .filter(value => value && typeof value === 'object')
+        .forEach(value => {
+          value.network = value.network || 'mainnet';
+          value.offer = value.offer || null;
+          value.fingerprint = value.fingerprint || (value.offer ? fingerprint(value.offer) : null);
+        });
+      return offers;
+    }
+  }
+];
+
+const SEEN_OFFERS_VERSION = SEEN_OFFERS_MIGRATIONS[SEEN_OFFERS_MIGRATIONS.length - 1].version;
+
+// Bring stored seen offers up to SEEN_OFFERS_VERSION
+// Returns { state, fromVersion, applied } - applied lists the descriptions of the migrations that ran
+function migrateSeenOffers(raw) {
+  const versioned = Boolean(raw) && !Array.isArray(raw) && typeof raw.version === 'number' && raw.offers !== undefined;
+  const fromVersion = versioned ? raw.version : 0;
+  if (fromVersion > SEEN_OFFERS_VERSION) {
+    throw uiError('backup.seenOffersTooNew', { version: fromVersion, supported: SEEN_OFFERS_VERSION });
+  }
+  let offers = JSON.parse(JSON.stringify((versioned ? raw.offers : raw) || {}));
+  if (typeof offers !== 'object') {
+    throw uiError('backup.seenOffersInvalid');
+  }
+  const applied = SEEN_OFFERS_MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .map(migration => {
+      offers = migration.migrate(offers);
+      return migration.description;
+    });
+  return { state: { version: SEEN_OFFERS_VERSION, offers }, fromVersion, applied };
+}
+
+function takeSnapshot(offer) {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (offer[field] !== undefined) {
+      snapshot[field] = offer[field];
+    }
+  });
+  return snapshot;
+}
 
 class OfferTracker {
   constructor() {
     this.dataFile = path.join(config.DATA_DIR, 'seen_offers.json');
-    this.seenOffers = new Map(); // Map of offerId -> expiration timestamp
-    this.defaultMaxAge = 24 * 60 * 60 * 1000; // 24 hours fallback
+    this.seenOffers = new Map(); // Map of offerKey -> { offerId, expiresAt, sentAt, coordinator, network, offer, fingerprint, messages: { [subscriptionId]: { messageId, sentAt, transport, digest, group, previousMessageIds, remindedAt } } }
+    this.defaultMaxAge = DEFAULT_MAX_AGE;
   }
 
   async initialize() {
     try {
       await fs.mkdir(config.DATA_DIR, { recursive: true });
       const data = await fs.readFile(this.dataFile, 'utf-8');
-      const parsed = JSON.parse(data);
-      
-      // Handle multiple format versions
-      if (Array.isArray(parsed)) {
-        // Migrate from old format (array): assign expiration timestamp (now + 24h fallback)
-        logger.info('Migrating offer tracking format from array to expiration-based map');
-        const expirationTime = Date.now() + this.defaultMaxAge;
-        parsed.forEach(offerId => {
-          this.seenOffers.set(offerId, {
-            expiresAt: expirationTime,
-            messageId: null,
-            sentAt: null,
-            coordinator: null
-          });
-        });
+      const { fromVersion, applied } = this.loadState(JSON.parse(data));
+      if (applied.length > 0) {
+        logger.info(`Migrated seen offers from version ${fromVersion} to ${SEEN_OFFERS_VERSION}: ${applied.join('; ')}`);
         await this.save(); // Save in new format
-      } else {
-        // Object format - check if old (just timestamp) or new (with messageId)
-        Object.entries(parsed).forEach(([offerId, value]) => {
-          if (typeof value === 'number') {
-            // Old format: just expiration timestamp
-            this.seenOffers.set(parseInt(offerId), {
-              expiresAt: value,
-              messageId: null,
-              sentAt: null,
-              coordinator: null
-            });
-          } else if (typeof value === 'object' && value !== null) {
-            // New format: object with expiresAt, messageId, sentAt, coordinator
-            this.seenOffers.set(parseInt(offerId), {
-              expiresAt: value.expiresAt,
-              messageId: value.messageId || null,
-              sentAt: value.sentAt || null,
-              coordinator: value.coordinator || null
-            });
-          }
-        });
-        
-        // Save if we migrated from old format
-        const needsMigration = Object.values(parsed).some(v => typeof v === 'number');
-        if (needsMigration) {
-          logger.info('Migrating offer tracking format to include message IDs');
-          await this.save();
-        }
       }
       
       logger.info(`Loaded ${this.seenOffers.size} previously seen offers`);
@@ -74,13 +171,37 @@ class OfferTracker {
     }
   }
 
-  async save() {
+  // Replace the tracked offers with stored state of any version (see migrateSeenOffers)
+  // Returns { fromVersion, applied } from the migration chain
+  loadState(raw) {
+    const { state, fromVersion, applied } = migrateSeenOffers(raw);
+    this.seenOffers = new Map(Object.entries(state.offers).filter(([, value]) => value && typeof value === 'object'));
+    return { fromVersion, applied };
+  }
+
+  // Tracked offers as stored in seen_offers.json (used for backups)
+  exportState() {
     // Convert Map to plain object for JSON serialization
-    const obj = {};
-    this.seenOffers.forEach((value, offerId) => {
-      obj[offerId] = value;
+    const offers = {};
+    this.seenOffers.forEach((value, offerKey) => {
+      offers[offerKey] = value;
     });
-    const data = JSON.stringify(obj, null, 2);
+    return { version: SEEN_OFFERS_VERSION, offers };
+  }
+
+  // Replace the tracked offers with a backup's - older versions are migrated like seen_offers.json
+  async importState(state) {
+    const { fromVersion, applied } = this.loadState(state);
+    if (applied.length > 0) {
+      logger.info(`Migrated imported seen offers from version ${fromVersion} to ${SEEN_OFFERS_VERSION}: ${applied.join('; ')}`);
+    }
+    await this.save();
+    await this.cleanupExpiredOffers();
+    logger.info(`Imported ${this.seenOffers.size} seen offers`);
+  }
+
+  async save() {
+    const data = JSON.stringify(this.exportState(), null, 2);
     await fs.writeFile(this.dataFile, data, 'utf-8');
   }
 
@@ -88,9 +209,9 @@ class OfferTracker {
     const now = Date.now();
     let removedCount = 0;
     
-    for (const [offerId, value] of this.seenOffers.entries()) {
+    for (const [offerKey, value] of this.seenOffers.entries()) {
       if (value.expiresAt <= now) {
-        this.seenOffers.delete(offerId);
+        this.seenOffers.delete(offerKey);
         removedCount++;
       }
     }
@@ -101,11 +222,24 @@ class OfferTracker {
     }
   }
 
-  isNew(offerId) {
-    return !this.seenOffers.has(offerId);
+  // Move an entry tracked by bare ID without a coordinator (legacy data) to the offer's key,
+  // so the offer isn't notified again
+  claimLegacyOffer(offer) {
+    const legacyKey = String(offer.id);
+    const value = this.seenOffers.get(legacyKey);
+    if (!value || value.coordinator) return;
+    this.seenOffers.delete(legacyKey);
+    this.seenOffers.set(getOfferKey(offer), { ...value, coordinator: offer.coordinator || null });
   }
 
-  markAsSeen(offer, messageId = null) {
+  // An offer is new for a subscription until a message has been recorded for it
+  isNew(offerKey, subscriptionId = config.DEFAULT_SUBSCRIPTION_ID) {
+    const value = this.seenOffers.get(offerKey);
+    return !value || !value.messages[subscriptionId];
+  }
+
+  // digest: the message is a digest shared by several offers rather than the offer's own message
+  markAsSeen(offer, messageId = null, subscriptionId = config.DEFAULT_SUBSCRIPTION_ID, transport = 'whatsapp', digest = false) {
     // Store the offer's expiration time, or use a default if not available
     let expiresAt;
     if (offer.expires_at) {
@@ -120,27 +254,61 @@ class OfferTracker {
       expiresAt = Date.now() + this.defaultMaxAge;
     }
     
-    this.seenOffers.set(offer.id, {
+    const offerKey = getOfferKey(offer);
+    const existing = this.seenOffers.get(offerKey);
+    const sentAt = Date.now();
+    // Keep the snapshot other subscriptions were notified with, so change detection
+    // compares every message against the same baseline
+    const snapshot = existing && existing.offer ? existing.offer : takeSnapshot(offer);
+    this.seenOffers.set(offerKey, {
+      offerId: offer.id,
       expiresAt: expiresAt,
-      messageId: messageId,
-      sentAt: Date.now(),
-      coordinator: offer.coordinator || null
+      sentAt: existing ? existing.sentAt : sentAt,
+      coordinator: offer.coordinator || null,
+      network: offer.network || 'mainnet',
+      offer: snapshot,
+      fingerprint: fingerprint(snapshot),
+      messages: {
+        ...(existing ? existing.messages : {}),
+        [subscriptionId]: digest ? { messageId, sentAt, transport, digest } : { messageId, sentAt, transport }
+      }
+    });
+  }
+
+  getNewOffers(offers, subscriptionId = config.DEFAULT_SUBSCRIPTION_ID) {
+    return offers.filter(offer => {
+      this.claimLegacyOffer(offer);
+      return this.isNew(getOfferKey(offer), subscriptionId);
     });
   }
 
-  getNewOffers(offers) {
-    return offers.filter(offer => this.isNew(offer.id));
+  async addOffer(offer, messageId = null, subscriptionId = config.DEFAULT_SUBSCRIPTION_ID, transport = 'whatsapp', digest = false) {
+    this.markAsSeen(offer, messageId, subscriptionId, transport, digest);
+    await this.save();
   }
 
-  async addOffer(offer, messageId = null) {
-    this.markAsSeen(offer, messageId);
+  async addOffers(offers, subscriptionId = config.DEFAULT_SUBSCRIPTION_ID, messageId = null, transport = 'whatsapp', digest = false) {
+    offers.forEach(offer => this.markAsSeen(offer, messageId, subscriptionId, transport, digest));
     await this.save();
   }
 
-  async addOffers(offers) {
-    offers.forEach(offer => this.markAsSeen(offer));
+  // Track duplicates of one offer on several coordinators sent as a single message
+  // Every member records the keys of the whole group so the message can be updated per member
+  async addOfferGroup(offers, messageId, subscriptionId = config.DEFAULT_SUBSCRIPTION_ID, transport = 'whatsapp') {
+    offers.forEach(offer => this.markAsSeen(offer, messageId, subscriptionId, transport));
+    this.setGroup(offers.map(getOfferKey), subscriptionId);
     await this.save();
   }
+
+  // Replace the group of a subscription's message for every member (e.g. after a member left the order book)
+  setGroup(offerKeys, subscriptionId) {
+    offerKeys.forEach(offerKey => {
+      const value = this.seenOffers.get(offerKey);
+      if (value && value.messages[subscriptionId]) {
+        value.messages[subscriptionId].group = offerKeys;
+      }
+    });
+  }
   
   async clearAll() {
     logger.info('Clearing all tracked offers');
@@ -149,37 +317,112 @@ class OfferTracker {
     logger.info('Offer history cleared successfully');
   }
 
-  getTrackedOfferIds() {
+  getTrackedOfferKeys() {
     return new Set(this.seenOffers.keys());
   }
 
-  getMessageId(offerId) {
-    const value = this.seenOffers.get(offerId);
-    if (!value) return null;
-    return value.messageId;
+  getMessageId(offerKey, subscriptionId = config.DEFAULT_SUBSCRIPTION_ID) {
+    const value = this.seenOffers.get(offerKey);
+    if (!value || !value.messages[subscriptionId]) return null;
+    return value.messages[subscriptionId].messageId;
+  }
+
+  // All messages sent for an offer, one per subscription
+  // Messages recorded before transports existed were sent via WhatsApp
+  getMessages(offerKey) {
+    const value = this.seenOffers.get(offerKey);
+    if (!value) return [];
+    return Object.entries(value.messages).map(([subscriptionId, message]) => ({
+      subscriptionId,
+      messageId: message.messageId,
+      sentAt: message.sentAt,
+      transport: message.transport || 'whatsapp',
+      digest: Boolean(message.digest),
+      group: message.group || [],
+      previousMessageIds: message.previousMessageIds || [],
+      remindedAt: message.remindedAt || null,
+      removedAt: message.removedAt || null
+    }));
+  }
+
+  // Record that a subscription's message was deleted, marked or reported after the offer left the
+  // order book - the offer stays tracked until that went through for every subscription
+  async markRemoved(offerKey, subscriptionId) {
+    const value = this.seenOffers.get(offerKey);
+    if (!value || !value.messages[subscriptionId]) return;
+    value.messages[subscriptionId].removedAt = Date.now();
+    await this.save();
+  }
+
+  // Count a check in which updating an offer's messages after it left the order book failed
+  // Returns the number of failed checks so far
+  async recordRemovalFailure(offerKey) {
+    const value = this.seenOffers.get(offerKey);
+    if (!value) return 0;
+    value.removalFailures = (value.removalFailures || 0) + 1;
+    await this.save();
+    return value.removalFailures;
+  }
+
+  // Record that a subscription was reminded the offer is about to expire (at most one reminder per offer)
+  async markReminded(offerKey, subscriptionId) {
+    const value = this.seenOffers.get(offerKey);
+    if (!value || !value.messages[subscriptionId]) return;
+    value.messages[subscriptionId].remindedAt = Date.now();
+    await this.save();
+  }
+
+  // Replace the snapshot an offer's messages were rendered from (after they were updated)
+  async updateSnapshot(offer) {
+    const value = this.seenOffers.get(getOfferKey(offer));
+    if (!value) return;
+    value.offer = takeSnapshot(offer);
+    value.fingerprint = fingerprint(value.offer);
+    await this.save();
+  }
+
+  // Point a subscription at a re-posted message - the old one is kept so it can still be deleted
+  async replaceMessage(offerKey, subscriptionId, messageId) {
+    const value = this.seenOffers.get(offerKey);
+    if (!value || !value.messages[subscriptionId]) return;
+    const message = value.messages[subscriptionId];
+    value.messages[subscriptionId] = {
+      ...message,
+      messageId,
+      previousMessageIds: [...(message.previousMessageIds || []), message.messageId].filter(Boolean)
+    };
+    await this.save();
   }
 
-  getOfferInfo(offerId) {
-    const value = this.seenOffers.get(offerId);
+  getOfferInfo(offerKey) {
+    const value = this.seenOffers.get(offerKey);
     if (!value) return null;
     return {
+      offerId: value.offerId,
       expiresAt: value.expiresAt,
-      messageId: value.messageId,
       sentAt: value.sentAt,
-      coordinator: value.coordinator
+      coordinator: value.coordinator,
+      network: value.network || 'mainnet',
+      offer: value.offer || null,
+      fingerprint: value.fingerprint || null,
+      messages: this.getMessages(offerKey)
     };
   }
 
-  isExpired(offerId) {
-    const info = this.getOfferInfo(offerId);
+  isExpired(offerKey) {
+    const info = this.getOfferInfo(offerKey);
     if (!info) return false;
     return info.expiresAt <= Date.now();
   }
 
-  async removeOffer(offerId) {
-    this.seenOffers.delete(offerId);
+  async removeOffer(offerKey) {
+    this.seenOffers.delete(offerKey);
     await this.save();
   }
 }
 
 module.exports = new OfferTracker();
+module.exports.takeSnapshot = takeSnapshot;
+module.exports.getOfferKey = getOfferKey;
+module.exports.SEEN_OFFERS_VERSION = SEEN_OFFERS_VERSION;
+module.exports.migrateSeenOffers = migrateSeenOffers;
@@ -0,0 +1,249 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const { getOfferKey } = require('./offerTracker');
+
+// Retry delays grow exponentially from the base delay up to the maximum
+const BASE_RETRY_DELAY_MS = 15 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// Attempts before an item is marked failed and left for the user to retry or discard
+const MAX_ATTEMPTS = 8;
+
+// Delay between sends to avoid rate limiting
+const SEND_DELAY_MS = 1000;
+
+// Delivered items are kept this long so the web UI can show recent activity
+const DONE_RETENTION_MS = 60 * 60 * 1000;
+
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// Items are delivered in order per subscription and destination, so one unreachable chat or
+// webhook URL doesn't hold back the other subscriptions on the same transport
+function getQueueKey(item, subscriptions) {
+  const subscription = subscriptions.find(s => s.id === item.subscriptionId);
+  return JSON.stringify([item.subscriptionId, item.transport, subscription ? subscription.destination : null]);
+}
+
+// Persistent queue of outgoing notifications
+// The check loop queues notifications and a worker delivers them in order, retrying
+// failures with exponential backoff, so a transient disconnect never drops or duplicates an alert
+// Items: { id, type: 'offer' | 'digest' | 'alert' | 'report' | 'event', subscriptionId, transport, offers, alert, report,
+//          event, status: 'pending' | 'failed' | 'done', attempts, nextAttemptAt, lastError, createdAt, completedAt }
+// alert, report and event are only set on price alerts, market reports and webhook events raised outside
+// the check loop's notifications (which have no offers to track)
+class Outbox {
+  constructor() {
+    this.dataFile = path.join(config.DATA_DIR, 'outbox.json');
+    this.items = [];
+    this.sender = null; // async (item) => void - throws when the notification could not be sent
+    this.isProcessing = false;
+    this.timer = null;
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(config.DATA_DIR, { recursive: true });
+      const data = await fs.readFile(this.dataFile, 'utf-8');
+      this.items = JSON.parse(data);
+      const waiting = this.items.filter(item => item.status === 'pending').length;
+      if (waiting > 0) {
+        logger.info(`Loaded ${waiting} queued notification(s)`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async save() {
+    await fs.writeFile(this.dataFile, JSON.stringify(this.items, null, 2), 'utf-8');
+  }
+
+  // Register the function that delivers an item
+  setSender(sender) {
+    this.sender = sender;
+  }
+
+  async enqueue({ type, subscriptionId, transport, offers, alert = null, report = null, event = null }) {
+    const now = Date.now();
+    this.items.push({
+      id: crypto.randomUUID(),
+      type,
+      subscriptionId,
+      transport,
+      offers,
+      alert,
+      report,
+      event,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      completedAt: null
+    });
+    await this.save();
+  }
+
+  // Drop an offer from undelivered items (it left the order book) - items left without offers are removed
+  async cancelOffer(offerKey) {
+    let changed = false;
+    this.items = this.items.filter(item => {
+      if (item.status === 'done' || !item.offers.some(offer => getOfferKey(offer) === offerKey)) {
+        return true;
+      }
+      changed = true;
+      item.offers = item.offers.filter(offer => getOfferKey(offer) !== offerKey);
+      return item.offers.length > 0;
+    });
+    if (changed) {
+      await this.save();
+    }
+  }
+
+  // Deliver pending items in order - returns the number of items delivered
+  // Items of a subscription's destination are sent in the order they were queued: while the
+  // oldest one is backing off after a failure, the ones behind it wait too
+  async process() {
+    if (this.isProcessing || !this.sender || !config.BOT_ENABLED) {
+      return 0;
+    }
+    this.isProcessing = true;
+    let delivered = 0;
+
+    try {
+      const subscriptions = config.getSubscriptions();
+      const blockedQueues = new Set();
+      const pending = this.items.filter(item => item.status === 'pending');
+
+      for (const item of pending) {
+        const queueKey = getQueueKey(item, subscriptions);
+        // Cancelled while an earlier item was being sent
+        if (!this.items.includes(item) || blockedQueues.has(queueKey)) continue;
+        if (item.nextAttemptAt > Date.now()) {
+          blockedQueues.add(queueKey);
+          continue;
+        }
+
+        try {
+          await this.sender(item);
+          item.status = 'done';
+          item.completedAt = Date.now();
+          item.lastError = null;
+          delivered++;
+        } catch (error) {
+          item.attempts++;
+          item.lastError = error.message;
+          blockedQueues.add(queueKey);
+          if (item.attempts >= MAX_ATTEMPTS) {
+            item.status = 'failed';
+            logger.error(`Notification ${item.id} failed after ${item.attempts} attempts: ${error.message}`);
+          } else {
+            const delay = getRetryDelay(item.attempts);
+            item.nextAttemptAt = Date.now() + delay;
+            logger.warn(`Failed to send notification ${item.id} (${error.message}) - retrying in ${Math.round(delay / 1000)}s`);
+          }
+        }
+        await this.save();
+
+        if (item.status === 'done') {
+          await new Promise(resolve => setTimeout(resolve, SEND_DELAY_MS));
+        }
+      }
+
+      await this.prune();
+    } finally {
+      this.isProcessing = false;
+      this.scheduleNext();
+    }
+
+    return delivered;
+  }
+
+  // Wake up for the next retry between check cycles
+  scheduleNext() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    // Only the oldest pending item of each queue decides when it can continue
+    const subscriptions = config.getSubscriptions();
+    const heads = new Map();
+    this.items
+      .filter(item => item.status === 'pending')
+      .forEach(item => {
+        const queueKey = getQueueKey(item, subscriptions);
+        if (!heads.has(queueKey)) heads.set(queueKey, item);
+      });
+    if (heads.size === 0) return;
+
+    const nextAttemptAt = Math.min(...[...heads.values()].map(item => item.nextAttemptAt));
+    this.timer = setTimeout(() => {
+      this.process().catch(error => logger.error('Error sending queued notifications:', error.message));
+    }, Math.max(nextAttemptAt - Date.now(), SEND_DELAY_MS));
+    this.timer.unref();
+  }
+
+  async prune() {
+    const cutoff = Date.now() - DONE_RETENTION_MS;
+    const count = this.items.length;
+    this.items = this.items.filter(item => item.status !== 'done' || item.completedAt > cutoff);
+    if (this.items.length !== count) {
+      await this.save();
+    }
+  }
+
+  // Give failed items a fresh set of attempts
+  async retryFailed() {
+    const failed = this.items.filter(item => item.status === 'failed');
+    failed.forEach(item => {
+      item.status = 'pending';
+      item.attempts = 0;
+      item.nextAttemptAt = Date.now();
+    });
+    await this.save();
+    return failed.length;
+  }
+
+  async discardFailed() {
+    const count = this.items.length;
+    this.items = this.items.filter(item => item.status !== 'failed');
+    await this.save();
+    return count - this.items.length;
+  }
+
+  async clearAll() {
+    this.items = [];
+    await this.save();
+  }
+
+  getStatus() {
+    const summarize = item => ({
+      id: item.id,
+      type: item.type,
+      subscriptionId: item.subscriptionId,
+      transport: item.transport,
+      offerKeys: item.offers.map(getOfferKey),
+      attempts: item.attempts,
+      nextAttemptAt: item.nextAttemptAt,
+      lastError: item.lastError,
+      createdAt: item.createdAt
+    });
+    const pending = this.items.filter(item => item.status === 'pending');
+    const failed = this.items.filter(item => item.status === 'failed');
+    return {
+      pending: pending.length,
+      failed: failed.length,
+      delivered: this.items.filter(item => item.status === 'done').length,
+      items: [...failed, ...pending].map(summarize)
+    };
+  }
+}
+
+module.exports = new Outbox();
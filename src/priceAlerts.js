@@ -0,0 +1,112 @@
+// Price alerts: trigger-style rules evaluated against the whole fetched order book each check,
+// e.g. "any BUY offer in USD with a premium at or below 0%" or "best VES SELL premium at or above 10%".
+// Rule: { name, enabled, currency, side: 'buy'|'sell', target: 'any'|'best', condition: 'below'|'above',
+//         premium, subscriptionId } - an empty subscriptionId sends the alert to every subscription
+
+const { compareOffers } = require('./marketContext');
+
+const SIDES = ['buy', 'sell'];
+
+// 'any': some offer meets the condition; 'best': the best offer for the taker meets it
+// (lowest premium for sell offers, highest for buy offers)
+const TARGETS = ['any', 'best'];
+
+// 'below': premium at or below the threshold; 'above': at or above it
+const CONDITIONS = ['below', 'above'];
+
+function parseChoice(value, choices, name, defaultValue) {
+  const choice = String(value || defaultValue || '').toLowerCase();
+  if (!choices.includes(choice)) {
+    throw new Error(`${name} must be one of ${choices.join(', ')}`);
+  }
+  return choice;
+}
+
+// Stable key of a rule - alert state follows the rule's condition, so editing a rule re-arms it
+function getAlertKey(rule) {
+  return `${rule.currency}:${rule.side}:${rule.target}:${rule.condition}:${rule.premium}`;
+}
+
+// Validate and normalize the alert rules (from config.json or the web UI)
+// currencyCodes: known currency codes, so a typo can't create a rule that never matches
+function normalizeAlerts(raw, currencyCodes) {
+  if (raw === undefined || raw === null || raw === '') {
+    return [];
+  }
+  if (!Array.isArray(raw)) {
+    throw new Error('Price alerts must be a list');
+  }
+
+  const usedKeys = new Set();
+  return raw.map((rawRule, index) => {
+    const label = `Price alert #${index + 1}`;
+    if (!rawRule || typeof rawRule !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    try {
+      const currency = String(rawRule.currency || '').trim().toUpperCase();
+      if (!currency) {
+        throw new Error('select a currency');
+      }
+      if (currencyCodes && !currencyCodes.includes(currency)) {
+        throw new Error(`unknown currency ${currency}`);
+      }
+      const premium = parseFloat(rawRule.premium);
+      if (rawRule.premium === '' || rawRule.premium === null || isNaN(premium)) {
+        throw new Error('premium threshold must be a number');
+      }
+
+      const rule = {
+        name: String(rawRule.name || '').trim(),
+        enabled: rawRule.enabled !== false && rawRule.enabled !== 'false',
+        currency,
+        side: parseChoice(rawRule.side, SIDES, 'side'),
+        target: parseChoice(rawRule.target, TARGETS, 'target', 'any'),
+        condition: parseChoice(rawRule.condition, CONDITIONS, 'condition'),
+        premium,
+        subscriptionId: String(rawRule.subscriptionId || '').trim()
+      };
+      const key = getAlertKey(rule);
+      if (usedKeys.has(key)) {
+        throw new Error('the same rule is defined more than once');
+      }
+      usedKeys.add(key);
+      return rule;
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  });
+}
+
+function meetsCondition(rule, premium) {
+  return rule.condition === 'below' ? premium <= rule.premium : premium >= rule.premium;
+}
+
+// Evaluate a rule against the order book
+// Returns { met, value, offers } - value is the premium that decided it (the best matching
+// offer's, or the best offer's for 'best' rules) and offers the matching offers, best first
+function evaluateAlert(rule, offers) {
+  const type = rule.side === 'buy' ? 0 : 1;
+  const candidates = offers
+    .filter(offer => offer.currencyCode === rule.currency && offer.type === type && !isNaN(parseFloat(offer.premium)))
+    .sort(compareOffers);
+
+  if (rule.target === 'best') {
+    const best = candidates[0];
+    const met = Boolean(best) && meetsCondition(rule, parseFloat(best.premium));
+    return { met, value: best ? parseFloat(best.premium) : null, offers: met ? [best] : [] };
+  }
+
+  const matching = candidates.filter(offer => meetsCondition(rule, parseFloat(offer.premium)));
+  return {
+    met: matching.length > 0,
+    value: matching.length > 0 ? parseFloat(matching[0].premium) : null,
+    offers: matching
+  };
+}
+
+module.exports = {
+  getAlertKey,
+  normalizeAlerts,
+  evaluateAlert
+};
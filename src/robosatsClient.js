@@ -1,6 +1,9 @@
 const axios = require('axios');
+const { SocksProxyAgent } = require('socks-proxy-agent');
 const config = require('./config');
 const logger = require('./logger');
+const coordinatorDirectory = require('./coordinatorDirectory');
+const coordinatorHealth = require('./coordinatorHealth');
 
 // Check if we should use mock mode
 if (config.ROBOSATS_USE_MOCK) {
@@ -10,6 +13,9 @@ if (config.ROBOSATS_USE_MOCK) {
 } else {
   module.exports = new (class RobosatsClient {
   constructor() {
+    this.proxyAgent = null;
+    this.proxyAgentUrl = null;
+    
     // Log initial configuration
     this.logConfig();
   }
@@ -21,13 +27,15 @@ if (config.ROBOSATS_USE_MOCK) {
   
   // Get current coordinators (reads from config each time for hot-reload support)
   get coordinators() {
-    if (config.ROBOSATS_COORDINATORS === 'all') {
-      return config.AVAILABLE_COORDINATORS;
-    }
-    return config.ROBOSATS_COORDINATORS.split(',').map(c => c.trim()).filter(c => c);
+    return coordinatorDirectory.getMonitoredIds();
+  }
+  
+  // Whether offers are fetched directly from the coordinators over Tor instead of the local RoboSats client
+  get isDirectMode() {
+    return config.ROBOSATS_FETCH_MODE === 'tor';
   }
   
-  // Create axios instance with current config
+  // Create axios instance for the local RoboSats client with current config
   getAxiosInstance() {
     // Parse the API URL to get the port
     let port = '12596';
@@ -53,20 +61,78 @@ if (config.ROBOSATS_USE_MOCK) {
     });
   }
   
+  // SOCKS agent for the configured proxy - recreated when TOR_PROXY_URL changes
+  getProxyAgent() {
+    if (!this.proxyAgent || this.proxyAgentUrl !== config.TOR_PROXY_URL) {
+      // Let the proxy resolve host names - .onion addresses can't be resolved locally,
+      // and resolving clearnet names locally would leak them outside Tor
+      const proxyUrl = config.TOR_PROXY_URL.replace(/^socks5:/i, 'socks5h:').replace(/^socks4:/i, 'socks4a:');
+      this.proxyAgent = new SocksProxyAgent(proxyUrl);
+      this.proxyAgentUrl = config.TOR_PROXY_URL;
+    }
+    return this.proxyAgent;
+  }
+  
+  // Create axios instance for a coordinator's own API, reached through the SOCKS proxy
+  // The Host header is left to axios so it matches the onion or clearnet host being requested
+  getDirectAxiosInstance(baseURL) {
+    const agent = this.getProxyAgent();
+    return axios.create({
+      baseURL,
+      timeout: 60000, // Onion services are slower to reach than the local client
+      proxy: false, // Never route through HTTP(S)_PROXY from the environment
+      httpAgent: agent,
+      httpsAgent: agent,
+      headers: {
+        'User-Agent': 'RobosatsBot/1.0',
+        'Accept': 'application/json'
+      }
+    });
+  }
+  
+  // Coordinator API URL used in direct mode - the onion URL, or the clearnet URL when there is none
+  getCoordinatorUrl(coordinator) {
+    const info = coordinatorDirectory.get(coordinator);
+    const endpoints = info && info[config.ROBOSATS_NETWORK];
+    const url = endpoints && (endpoints.onion || endpoints.clearnet);
+    if (!url) {
+      throw new Error(`No ${config.ROBOSATS_NETWORK} onion or clearnet URL known for ${coordinator} - load a federation list or add the URL as a coordinator override`);
+    }
+    return url;
+  }
+  
+  // Axios instance and API base path for a coordinator in the current fetch mode:
+  // the local client proxies each coordinator under /<network>/<id>/api, coordinators serve /api themselves
+  getCoordinatorApi(coordinator) {
+    if (this.isDirectMode) {
+      return {
+        axiosInstance: this.getDirectAxiosInstance(this.getCoordinatorUrl(coordinator)),
+        apiBasePath: '/api'
+      };
+    }
+    return {
+      axiosInstance: this.getAxiosInstance(),
+      apiBasePath: `/${config.ROBOSATS_NETWORK}/${coordinator}/api`
+    };
+  }
+  
   logConfig() {
-    const currencyCodes = config.TARGET_CURRENCIES.map(c => c.code).join(', ');
-    logger.info(`RoboSats API URL: ${this.apiUrl}`);
-    logger.info(`Monitoring ${this.coordinators.length} coordinator(s): ${this.coordinators.join(', ')}`);
-    logger.info(`Target currencies: ${currencyCodes}`);
+    const currencyCodes = config.WATCHED_CURRENCIES.map(c => c.code).join(', ');
+    if (this.isDirectMode) {
+      logger.info(`Fetching directly from coordinators through ${config.TOR_PROXY_URL}`);
+    } else {
+      logger.info(`RoboSats API URL: ${this.apiUrl}`);
+    }
+    logger.info(`Monitoring ${this.coordinators.length} ${config.ROBOSATS_NETWORK} coordinator(s): ${this.coordinators.join(', ')}`);
+    logger.info(`Watched currencies: ${currencyCodes}`);
   }
 
   async getOrderBookFromCoordinator(coordinator, currency = null, type = null) {
-    const apiBasePath = `/mainnet/${coordinator}/api`;
+    const { axiosInstance, apiBasePath } = this.getCoordinatorApi(coordinator);
     const params = {};
     if (currency) params.currency = currency;
     if (type !== null) params.type = type;
     
-    const axiosInstance = this.getAxiosInstance();
     const response = await axiosInstance.get(`${apiBasePath}/book/`, { params });
     
     // Ensure we always return an array
@@ -83,30 +149,42 @@ if (config.ROBOSATS_USE_MOCK) {
     const coordinators = this.coordinators;
     const startTime = Date.now();
     
-    logger.info(`Fetching from ${coordinators.length} coordinator(s) in parallel...`);
+    // Coordinators whose circuit is open are skipped until their cool-off ends
+    // (they count as unreachable, so their tracked offers are preserved)
+    const activeCoordinators = coordinators.filter(coordinator => coordinatorHealth.shouldFetch(coordinator));
+    const skippedCoordinators = coordinators.filter(coordinator => !activeCoordinators.includes(coordinator));
+    
+    const skippedNote = skippedCoordinators.length > 0 ? ` (${skippedCoordinators.length} skipped)` : '';
+    logger.info(`Fetching from ${activeCoordinators.length} coordinator(s) in parallel${skippedNote}...`);
     
     // Fetch from all coordinators in parallel
     const results = await Promise.allSettled(
-      coordinators.map(async (coordinator) => {
+      activeCoordinators.map(async (coordinator) => {
         const coordStartTime = Date.now();
         try {
           const offers = await this.getOrderBookFromCoordinator(coordinator, currency, type);
           const duration = Date.now() - coordStartTime;
+          coordinatorHealth.recordSuccess(coordinator, duration);
           return { coordinator, offers, duration, success: true };
         } catch (error) {
           const duration = Date.now() - coordStartTime;
           const errorMsg = error.response 
             ? `HTTP ${error.response.status}`
             : error.code || error.message || 'Unknown error';
+          coordinatorHealth.recordFailure(coordinator, duration, errorMsg);
           return { coordinator, error: errorMsg, duration, success: false };
         }
       })
     );
+    await coordinatorHealth.save();
     
     // Process results and build summary
     const allOffers = [];
     const reachableCoordinators = new Set();
-    const summary = [];
+    const summary = skippedCoordinators.map(coordinator => {
+      const { openUntil } = coordinatorHealth.getHealth(coordinator);
+      return `  ${coordinator}: SKIPPED - failing, next probe at ${new Date(openUntil).toISOString()}`;
+    });
     
     for (const result of results) {
       // Promise.allSettled always fulfills, but check just in case
@@ -131,10 +209,11 @@ if (config.ROBOSATS_USE_MOCK) {
       // Mark this coordinator as successfully reached
       reachableCoordinators.add(coordinator);
       
-      // Add coordinator info to each offer
+      // Add coordinator and network info to each offer
       const offersWithCoordinator = offers.map(offer => ({
         ...offer,
-        coordinator: coordinator
+        coordinator: coordinator,
+        network: config.ROBOSATS_NETWORK
       }));
       allOffers.push(...offersWithCoordinator);
       summary.push(`  ${coordinator}: ${offers.length} offers (${duration}ms)`);
@@ -151,8 +230,9 @@ if (config.ROBOSATS_USE_MOCK) {
   async getOffers() {
     const { offers: orderBook, reachableCoordinators } = await this.getOrderBook();
     
-    // Get target currency IDs
-    const targetCurrencyIds = config.TARGET_CURRENCIES.map(c => c.id);
+    // Get watched currency IDs (union of all subscriptions' currencies)
+    const watchedCurrencies = config.WATCHED_CURRENCIES;
+    const targetCurrencyIds = watchedCurrencies.map(c => c.id);
     
     // Filter by target currency IDs
     // All orders in the book are public (status 1), so we filter by currency
@@ -162,32 +242,41 @@ if (config.ROBOSATS_USE_MOCK) {
 
     // Add currency code to each offer for easier formatting
     offers.forEach(offer => {
-      const currency = config.TARGET_CURRENCIES.find(c => c.id === offer.currency);
+      const currency = watchedCurrencies.find(c => c.id === offer.currency);
       if (currency) {
         offer.currencyCode = currency.code;
       }
     });
 
-    const currencyCodes = config.TARGET_CURRENCIES.map(c => c.code).join(', ');
-    logger.info(`Filtered to ${offers.length} offers matching target currencies (${currencyCodes})`);
+    const currencyCodes = watchedCurrencies.map(c => c.code).join(', ');
+    logger.info(`Filtered to ${offers.length} offers matching watched currencies (${currencyCodes})`);
     
     return { offers, reachableCoordinators };
   }
 
-  async getInfo() {
-    // Get info from first available coordinator
-    const axiosInstance = this.getAxiosInstance();
-    for (const coordinator of this.coordinators) {
+  // Get an endpoint from the first coordinator that answers
+  // (pass the coordinators reached this cycle to avoid waiting on unreachable ones)
+  async getFromAnyCoordinator(endpoint, coordinators = this.coordinators) {
+    for (const coordinator of coordinators) {
       try {
-        const apiBasePath = `/mainnet/${coordinator}/api`;
-        const response = await axiosInstance.get(`${apiBasePath}/info/`);
+        const { axiosInstance, apiBasePath } = this.getCoordinatorApi(coordinator);
+        const response = await axiosInstance.get(`${apiBasePath}/${endpoint}/`);
         return response.data;
       } catch (error) {
-        logger.warn(`Failed to get info from ${coordinator}, trying next...`);
+        logger.warn(`Failed to get ${endpoint} from ${coordinator}, trying next...`);
         continue;
       }
     }
-    throw new Error('Failed to get info from all coordinators');
+    throw new Error(`Failed to get ${endpoint} from all coordinators`);
+  }
+
+  async getInfo(coordinators = this.coordinators) {
+    return this.getFromAnyCoordinator('info', coordinators);
+  }
+
+  // Index price and amount limits per currency: { [currencyId]: { code, price, min_amount, max_amount, ... } }
+  async getLimits(coordinators = this.coordinators) {
+    return this.getFromAnyCoordinator('limits', coordinators);
   }
   })();
 }
@@ -27,6 +27,24 @@ class RobosatsClientMock {
     };
   }
 
+  // Index prices matching the mock offers' prices and premiums
+  async getLimits() {
+    logger.info('[MOCK] Fetching limits');
+    
+    const config = require('./config');
+    const limits = {};
+    config.WATCHED_CURRENCIES.forEach(currency => {
+      limits[currency.id] = {
+        code: currency.code,
+        price: 50000,
+        min_amount: 20,
+        max_amount: 5000000,
+        max_bondless_amount: 10000
+      };
+    });
+    return limits;
+  }
+
   // Generate random expiration time between 30 minutes and 23h 59m
   getRandomExpiration() {
     const minMs = 30 * 60 * 1000; // 30 minutes
@@ -42,7 +60,7 @@ class RobosatsClientMock {
     
     // Generate mock offers for each target currency
     const mockOffers = [];
-    config.TARGET_CURRENCIES.forEach((currency, idx) => {
+    config.WATCHED_CURRENCIES.forEach((currency, idx) => {
       mockOffers.push(
         {
           id: 1001 + (idx * 3),
@@ -69,6 +87,8 @@ class RobosatsClientMock {
           has_range: false,
           payment_method: 'Cash',
           premium: '3.0',
+          latitude: 40.4168, // In-person offers carry the meeting location
+          longitude: -3.7038,
           price: 51500,
           satoshis: 150000,
           satoshis_now: 150000,
@@ -103,23 +123,25 @@ class RobosatsClientMock {
     const orderBook = await this.getOrderBook();
     const config = require('./config');
     
-    // Get target currency IDs
-    const targetCurrencyIds = config.TARGET_CURRENCIES.map(c => c.id);
+    // Get watched currency IDs (union of all subscriptions' currencies)
+    const watchedCurrencies = config.WATCHED_CURRENCIES;
+    const targetCurrencyIds = watchedCurrencies.map(c => c.id);
     
     // In mock mode, filter by target currencies
     const offers = orderBook.filter(offer => offer.status === 1 && targetCurrencyIds.includes(offer.currency));
     
     // Add currency code and coordinator to each offer (for consistency with real client)
     offers.forEach(offer => {
-      const currency = config.TARGET_CURRENCIES.find(c => c.id === offer.currency);
+      const currency = watchedCurrencies.find(c => c.id === offer.currency);
       if (currency) {
         offer.currencyCode = currency.code;
       }
       // Add mock coordinator
       offer.coordinator = 'mock';
+      offer.network = config.ROBOSATS_NETWORK;
     });
     
-    const currencyCodes = config.TARGET_CURRENCIES.map(c => c.code).join(', ');
+    const currencyCodes = watchedCurrencies.map(c => c.code).join(', ');
     logger.info(`[MOCK] Found ${offers.length} public offers (${currencyCodes})`);
     
     // Return same format as real client: { offers, reachableCoordinators }
@@ -135,7 +157,7 @@ class RobosatsClientMock {
     if (Math.random() > 0.7) {
       const config = require('./config');
       // Pick a random target currency
-      const randomCurrency = config.TARGET_CURRENCIES[Math.floor(Math.random() * config.TARGET_CURRENCIES.length)];
+      const randomCurrency = config.WATCHED_CURRENCIES[Math.floor(Math.random() * config.WATCHED_CURRENCIES.length)];
       
       const newOffer = {
         id: Date.now(),
@@ -144,6 +166,7 @@ class RobosatsClientMock {
         currency: randomCurrency.id,
         currencyCode: randomCurrency.code,
         coordinator: 'mock',
+        network: config.ROBOSATS_NETWORK,
         amount: '600000',
         payment_method: 'Bank Transfer',
         premium: '2.0',
@@ -0,0 +1,133 @@
+// Settings schema validation: every key the web UI (or config.json) may set is declared with its type
+// and limits, so a typo or a hostile client can't store arbitrary keys or values that break the reload.
+// Field: { type: 'string'|'url'|'integer'|'number'|'boolean'|'enum'|'structured', required, min, max,
+//          values, pattern, maxLength, normalize } - normalize(value) validates structured values
+//          (objects and lists) and can refine the other types, throwing on invalid input
+
+const DEFAULT_MAX_LENGTH = 2000;
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function checkRange(number, field) {
+  if (field.min !== undefined && number < field.min) {
+    throw new Error(field.max !== undefined
+      ? `must be between ${field.min} and ${field.max}`
+      : `must be at least ${field.min}`);
+  }
+  if (field.max !== undefined && number > field.max) {
+    throw new Error(field.min !== undefined
+      ? `must be between ${field.min} and ${field.max}`
+      : `must be at most ${field.max}`);
+  }
+}
+
+// Validate one value against its field - returns the value to store, throws with the reason otherwise
+// Scalars are stored as strings, as the web form sends them
+function validateField(field, value) {
+  if (field.type === 'structured') {
+    if (typeof value === 'string' && value !== '') {
+      throw new Error('must be a JSON object or list, not a string');
+    }
+    return field.normalize(value);
+  }
+
+  if (value !== null && typeof value === 'object') {
+    throw new Error('must be a single value');
+  }
+  if (isEmpty(value)) {
+    if (field.required) {
+      throw new Error('is required');
+    }
+    return '';
+  }
+
+  let text = String(value).trim();
+  if (text.length > (field.maxLength || DEFAULT_MAX_LENGTH)) {
+    throw new Error(`must be at most ${field.maxLength || DEFAULT_MAX_LENGTH} characters`);
+  }
+
+  switch (field.type) {
+    case 'boolean':
+      if (!['true', 'false'].includes(text.toLowerCase())) {
+        throw new Error('must be true or false');
+      }
+      text = text.toLowerCase();
+      break;
+    case 'integer':
+      if (!/^-?\d+$/.test(text)) {
+        throw new Error('must be a whole number');
+      }
+      checkRange(parseInt(text, 10), field);
+      break;
+    case 'number':
+      if (isNaN(Number(text))) {
+        throw new Error('must be a number');
+      }
+      checkRange(Number(text), field);
+      break;
+    case 'enum':
+      if (!field.values.includes(text.toLowerCase())) {
+        throw new Error(`must be one of ${field.values.join(', ')}`);
+      }
+      text = text.toLowerCase();
+      break;
+    case 'url':
+      if (!/^https?:\/\/\S+$/i.test(text)) {
+        throw new Error('must be an http:// or https:// URL');
+      }
+      break;
+    case 'string':
+      break;
+    default:
+      throw new Error(`has an unknown type ${field.type}`);
+  }
+
+  if (field.pattern && !field.pattern.test(text)) {
+    throw new Error(field.patternMessage || 'has an invalid format');
+  }
+  return field.normalize ? field.normalize(text) : text;
+}
+
+// Validate a (partial) settings object against the schema
+// Returns { values, errors } - values holds the normalized values of the valid keys and
+// errors a message per invalid or unknown key ({} when everything is valid)
+function validateSettings(schema, raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { values: {}, errors: { _: 'Settings must be a JSON object' } };
+  }
+
+  const values = {};
+  const errors = {};
+  Object.keys(raw).forEach(key => {
+    const field = Object.prototype.hasOwnProperty.call(schema, key) ? schema[key] : null;
+    if (!field) {
+      errors[key] = 'is not a known setting';
+      return;
+    }
+    try {
+      values[key] = validateField(field, raw[key]);
+    } catch (error) {
+      errors[key] = error.message;
+    }
+  });
+  return { values, errors };
+}
+
+// Keep only the declared keys of a settings object (e.g. config.json written by an older version)
+function pickSettings(schema, raw) {
+  const picked = {};
+  Object.keys(raw || {})
+    .filter(key => Object.prototype.hasOwnProperty.call(schema, key) && raw[key] !== undefined)
+    .forEach(key => {
+      picked[key] = raw[key];
+    });
+  return picked;
+}
+
+module.exports = {
+  validateField,
+  validateSettings,
+  pickSettings
+};
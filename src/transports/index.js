@@ -0,0 +1,66 @@
+const whatsappClient = require('../whatsappClient');
+const WhatsAppTransport = require('./whatsappTransport');
+const TelegramTransport = require('./telegramTransport');
+const WebhookTransport = require('./webhookTransport');
+
+// Registered transports by name
+const transports = {
+  whatsapp: new WhatsAppTransport(whatsappClient),
+  telegram: new TelegramTransport(),
+  webhook: new WebhookTransport()
+};
+
+// Destination type -> transport name
+const DESTINATION_TRANSPORTS = {
+  group: 'whatsapp',
+  contact: 'whatsapp',
+  telegram: 'telegram',
+  webhook: 'webhook'
+};
+
+function getTransport(name) {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown transport: ${name}`);
+  }
+  return transport;
+}
+
+function getTransportName(destination) {
+  return DESTINATION_TRANSPORTS[destination && destination.type] || 'whatsapp';
+}
+
+function getTransportForDestination(destination) {
+  return getTransport(getTransportName(destination));
+}
+
+// Initialize every transport (WhatsApp resolves once the browser has started, not when ready)
+async function initialize() {
+  for (const transport of Object.values(transports)) {
+    await transport.initialize();
+  }
+}
+
+// Let transports pick up changed settings (e.g. a new bot token)
+async function reload() {
+  for (const transport of Object.values(transports)) {
+    await transport.reload();
+  }
+}
+
+function getStatuses() {
+  const statuses = {};
+  Object.entries(transports).forEach(([name, transport]) => {
+    statuses[name] = transport.getStatus();
+  });
+  return statuses;
+}
+
+module.exports = {
+  getTransport,
+  getTransportName,
+  getTransportForDestination,
+  initialize,
+  reload,
+  getStatuses
+};
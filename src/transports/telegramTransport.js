@@ -0,0 +1,180 @@
+const axios = require('axios');
+const Transport = require('./transport');
+const config = require('../config');
+const logger = require('../logger');
+
+const DEFAULT_API_URL = 'https://api.telegram.org';
+
+// Escape text for Telegram's HTML parse mode
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Convert WhatsApp formatting (*bold*, _italic_, ~strike~, ```monospace```) to Telegram HTML
+// HTML is used instead of Telegram Markdown so stray symbols in offer data can't break parsing
+function toTelegramHtml(message) {
+  return escapeHtml(message)
+    .replace(/```([^`\n]+)```/g, '<code>$1</code>')
+    .replace(/\*([^*\n]+)\*/g, '<b>$1</b>')
+    .replace(/(^|[\s(])_([^_\n]+)_(?=$|[\s).,!?])/gm, '$1<i>$2</i>')
+    .replace(/~([^~\n]+)~/g, '<s>$1</s>');
+}
+
+// Message references are "<chatId>:<messageId>" so they can be deleted/edited without the destination
+function parseMessageRef(messageRef) {
+  const separator = String(messageRef).lastIndexOf(':');
+  if (separator <= 0) {
+    throw new Error(`Invalid Telegram message reference: ${messageRef}`);
+  }
+  return {
+    chatId: messageRef.slice(0, separator),
+    messageId: parseInt(messageRef.slice(separator + 1))
+  };
+}
+
+// Telegram transport - talks to the Bot API over HTTPS
+class TelegramTransport extends Transport {
+  constructor() {
+    super('telegram');
+    this.botInfo = null;
+    this.verifiedToken = null;
+    this.lastError = null;
+  }
+
+  // Overridable for self-hosted Bot API servers (and for testing)
+  get apiUrl() {
+    return (config.TELEGRAM_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+  }
+
+  get isConfigured() {
+    return !!config.TELEGRAM_BOT_TOKEN;
+  }
+
+  get isReady() {
+    return this.isConfigured && !!this.botInfo && this.verifiedToken === config.TELEGRAM_BOT_TOKEN;
+  }
+
+  // Call a Bot API method and return its result (throws with Telegram's error description)
+  async call(method, params = {}) {
+    if (!this.isConfigured) {
+      throw new Error('Telegram bot token not configured');
+    }
+
+    const response = await axios.post(
+      `${this.apiUrl}/bot${config.TELEGRAM_BOT_TOKEN}/${method}`,
+      params,
+      { timeout: 30000, validateStatus: () => true }
+    );
+
+    const data = response.data;
+    if (!data || !data.ok) {
+      const description = data && data.description ? data.description : `HTTP ${response.status}`;
+      throw new Error(`Telegram ${method} failed: ${description}`);
+    }
+    return data.result;
+  }
+
+  // Verify the bot token with getMe
+  async initialize() {
+    this.botInfo = null;
+    this.verifiedToken = null;
+    this.lastError = null;
+
+    if (!this.isConfigured) {
+      return;
+    }
+
+    const token = config.TELEGRAM_BOT_TOKEN;
+    try {
+      this.botInfo = await this.call('getMe');
+      this.verifiedToken = token;
+      logger.info(`Telegram bot connected: @${this.botInfo.username}`);
+    } catch (error) {
+      this.lastError = error.message;
+      logger.warn(`Telegram bot not available: ${error.message}`);
+    }
+  }
+
+  async reload() {
+    // Only re-verify when the credentials changed
+    if (this.verifiedToken !== config.TELEGRAM_BOT_TOKEN || !this.botInfo) {
+      await this.initialize();
+    }
+  }
+
+  async send(destination, message) {
+    const chatId = String(destination.chatId || '').trim();
+    if (!chatId) {
+      throw new Error('Telegram notification type selected but chat ID not configured');
+    }
+
+    const result = await this.call('sendMessage', {
+      chat_id: chatId,
+      text: toTelegramHtml(message),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    });
+    logger.info(`Message sent to Telegram chat ${chatId}`);
+    return `${result.chat.id}:${result.message_id}`;
+  }
+
+  async delete(messageRef) {
+    try {
+      const { chatId, messageId } = parseMessageRef(messageRef);
+      await this.call('deleteMessage', { chat_id: chatId, message_id: messageId });
+      logger.info(`Deleted Telegram message ${messageRef}`);
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to delete Telegram message ${messageRef}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async edit(messageRef, message) {
+    try {
+      const { chatId, messageId } = parseMessageRef(messageRef);
+      await this.call('editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        text: toTelegramHtml(message),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      });
+      logger.info(`Edited Telegram message ${messageRef}`);
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to edit Telegram message ${messageRef}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async reply(messageRef, message) {
+    const { chatId, messageId } = parseMessageRef(messageRef);
+    const result = await this.call('sendMessage', {
+      chat_id: chatId,
+      text: toTelegramHtml(message),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      // Still send if the original message was deleted in the meantime
+      reply_parameters: { message_id: messageId, allow_sending_without_reply: true }
+    });
+    logger.info(`Replied to Telegram message ${messageRef}`);
+    return `${result.chat.id}:${result.message_id}`;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      isConfigured: this.isConfigured,
+      isReady: this.isReady,
+      botUsername: this.botInfo ? this.botInfo.username : null,
+      error: this.lastError
+    };
+  }
+}
+
+module.exports = TelegramTransport;
+module.exports.toTelegramHtml = toTelegramHtml;
@@ -0,0 +1,76 @@
+// Base class for notification transports (WhatsApp, Telegram, webhooks, ...)
+// A transport sends formatted messages to a destination and can later delete or edit them
+// using the message reference returned by send(). The optional context carries the
+// structured data behind a message ({ subscription, offer } or removal details) for
+// transports that need more than the formatted text.
+class Transport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Whether the transport has the settings it needs (e.g. a bot token)
+  get isConfigured() {
+    return true;
+  }
+
+  // Whether the transport can send right now
+  get isReady() {
+    return false;
+  }
+
+  // Transports that report removals get delete() for every removed offer,
+  // even when auto-deleting chat messages is disabled
+  get reportsRemovals() {
+    return false;
+  }
+
+  // Chat transports can batch new offers into one digest message (DIGEST_MODE);
+  // event transports keep sending one event per offer
+  get sendsDigests() {
+    return true;
+  }
+
+  async initialize() {
+    // Optional - override to connect or verify credentials
+  }
+
+  // Called after settings change so the transport can pick up new credentials
+  async reload() {
+    // Optional - override when the transport depends on settings
+  }
+
+  // Send a message to a destination - returns a message reference (string) or null
+  async send(destination, message, context = {}) {
+    throw new Error(`${this.name} transport does not implement send()`);
+  }
+
+  // Delete a previously sent message - returns true on success
+  async delete(messageRef, context = {}) {
+    throw new Error(`${this.name} transport does not implement delete()`);
+  }
+
+  // Replace the text of a previously sent message - returns true on success
+  async edit(messageRef, message, context = {}) {
+    throw new Error(`${this.name} transport does not implement edit()`);
+  }
+
+  // Send a message as a reply to a previously sent message - returns the new message reference
+  async reply(messageRef, message, context = {}) {
+    throw new Error(`${this.name} transport does not implement reply()`);
+  }
+
+  // Called at the end of every check cycle with a summary of what happened
+  async cycleCompleted(destination, summary) {
+    // Optional - chat transports have nothing to report
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      isConfigured: this.isConfigured,
+      isReady: this.isReady
+    };
+  }
+}
+
+module.exports = Transport;
@@ -0,0 +1,231 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const Transport = require('./transport');
+const logger = require('../logger');
+const outbox = require('../outbox');
+const coordinatorDirectory = require('../coordinatorDirectory');
+const { getOfferLink } = require('../messageFormatter');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// HMAC-SHA256 of the raw request body, sent as "sha256=<hex>"
+function signPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function describeSubscription(subscription) {
+  return subscription ? { id: subscription.id, name: subscription.name } : null;
+}
+
+function describeCoordinator(coordinator) {
+  return {
+    id: coordinator,
+    name: coordinatorDirectory.getName(coordinator)
+  };
+}
+
+// Webhook transport - POSTs signed JSON events (offer.seen, offer.changed, offer.expiring, offer.removed,
+// alert.triggered, market.summary, cycle.completed)
+// Every event goes through the outbox, so a failed delivery is retried and persisted there: offer.seen,
+// alert.triggered and market.summary are queued by the check loop, the others are queued here
+class WebhookTransport extends Transport {
+  constructor() {
+    super('webhook');
+    this.deliveredCount = 0;
+    this.failedCount = 0;
+    this.lastError = null;
+    this.lastDeliveryAt = null;
+  }
+
+  get isReady() {
+    return true;
+  }
+
+  get reportsRemovals() {
+    return true;
+  }
+
+  get sendsDigests() {
+    return false;
+  }
+
+  // POST one event - throws on network errors and non-2xx responses
+  async post(destination, event, body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'RoboSats-Notifier',
+      'X-RoboSats-Event': event.event,
+      'X-RoboSats-Delivery': event.id,
+      'X-RoboSats-Signature': signPayload(destination.secret, body)
+    };
+
+    const response = await axios.post(destination.url, body, {
+      headers,
+      timeout: REQUEST_TIMEOUT_MS,
+      validateStatus: () => true,
+      // Send the exact signed bytes
+      transformRequest: [data => data]
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  // The event ID is the delivery ID - it stays the same when a queued event is retried
+  createEvent(eventName, subscription, data) {
+    return {
+      id: crypto.randomUUID(),
+      event: eventName,
+      timestamp: new Date().toISOString(),
+      subscription: describeSubscription(subscription),
+      data
+    };
+  }
+
+  // Build, sign and deliver an event - returns its delivery ID, throws when the POST failed
+  async deliver(destination, eventName, subscription, data) {
+    return await this.deliverEvent(destination, this.createEvent(eventName, subscription, data));
+  }
+
+  // Sign and deliver a built event (also called by the outbox for queued events)
+  async deliverEvent(destination, event) {
+    try {
+      await this.post(destination, event, JSON.stringify(event));
+    } catch (error) {
+      this.failedCount++;
+      this.lastError = `${event.event} to ${destination.url}: ${error.message}`;
+      throw new Error(`Webhook ${event.event} to ${destination.url} failed: ${error.message}`);
+    }
+    this.deliveredCount++;
+    this.lastDeliveryAt = Date.now();
+    this.lastError = null;
+    logger.info(`Webhook ${event.event} delivered to ${destination.url}`);
+    return event.id;
+  }
+
+  // Queue an event in the outbox - returns its delivery ID
+  async queue(subscription, eventName, data) {
+    const event = this.createEvent(eventName, subscription, data);
+    await outbox.enqueue({ type: 'event', subscriptionId: subscription.id, transport: this.name, offers: [], event });
+    return event.id;
+  }
+
+  // offer.seen - the raw offer from robosatsClient plus the coordinator and link
+  // alert.triggered - a price alert rule started to hold
+  // market.summary - the scheduled market report
+  async send(destination, message, context = {}) {
+    const { offer, alert, report, subscription } = context;
+    if (report) {
+      return await this.deliver(destination, 'market.summary', subscription, {
+        ...report,
+        generatedAt: new Date(report.generatedAt).toISOString(),
+        message
+      });
+    }
+    if (alert) {
+      return await this.deliver(destination, 'alert.triggered', subscription, {
+        rule: alert.rule,
+        value: alert.value,
+        count: alert.count,
+        offers: alert.offers.map(alertOffer => ({
+          ...alertOffer,
+          coordinator: describeCoordinator(alertOffer.coordinator),
+          link: getOfferLink(alertOffer)
+        })),
+        triggeredAt: new Date(alert.triggeredAt).toISOString(),
+        message
+      });
+    }
+    if (!offer) {
+      // Plain messages (e.g. tests) have no offer attached
+      return await this.deliver(destination, 'message', subscription, { message });
+    }
+
+    return await this.deliver(destination, 'offer.seen', subscription, {
+      offer,
+      coordinator: describeCoordinator(offer.coordinator),
+      link: getOfferLink(offer),
+      message
+    });
+  }
+
+  // offer.removed - the offer was taken, cancelled or expired
+  async delete(messageRef, context = {}) {
+    const { subscription, offerId, coordinator, network, reason } = context;
+    if (!subscription) {
+      // The subscription was removed since the offer was sent - nowhere to report to
+      return false;
+    }
+
+    await this.queue(subscription, 'offer.removed', {
+      offerId,
+      coordinator: describeCoordinator(coordinator),
+      network,
+      link: getOfferLink({ id: offerId, coordinator, network }),
+      reason,
+      seenDeliveryId: messageRef
+    });
+    return true;
+  }
+
+  // offer.changed - a tracked offer changed since offer.seen (deliveries can't be edited,
+  // so the change is reported as its own event)
+  async edit(messageRef, message, context = {}) {
+    const { subscription, offer, changes } = context;
+    if (!subscription || !offer) {
+      return false;
+    }
+
+    await this.queue(subscription, 'offer.changed', {
+      offer,
+      coordinator: describeCoordinator(offer.coordinator),
+      link: getOfferLink(offer),
+      changes,
+      message,
+      seenDeliveryId: messageRef
+    });
+    return true;
+  }
+
+  // offer.expiring - a notified offer is still open and about to expire (EXPIRY_REMINDER_MINUTES)
+  async reply(messageRef, message, context = {}) {
+    const { subscription, offer, expiresAt } = context;
+    if (!subscription || !offer) {
+      return null;
+    }
+
+    return await this.queue(subscription, 'offer.expiring', {
+      offer,
+      coordinator: describeCoordinator(offer.coordinator),
+      link: getOfferLink(offer),
+      expiresAt: new Date(expiresAt).toISOString(),
+      message,
+      seenDeliveryId: messageRef
+    });
+  }
+
+  async cycleCompleted(destination, summary) {
+    await this.queue(summary.subscription, 'cycle.completed', {
+      matchingOffers: summary.matchingOffers,
+      newOffers: summary.newOffers,
+      removedOffers: summary.removedOffers,
+      reachableCoordinators: summary.reachableCoordinators
+    });
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      isConfigured: true,
+      isReady: true,
+      delivered: this.deliveredCount,
+      failed: this.failedCount,
+      lastDeliveryAt: this.lastDeliveryAt,
+      error: this.lastError
+    };
+  }
+}
+
+module.exports = WebhookTransport;
+module.exports.signPayload = signPayload;
@@ -0,0 +1,47 @@
+const Transport = require('./transport');
+
+// WhatsApp transport - wraps the whatsapp-web.js client singleton
+class WhatsAppTransport extends Transport {
+  constructor(client) {
+    super('whatsapp');
+    this.client = client;
+  }
+
+  get isReady() {
+    return this.client.isReady;
+  }
+
+  async initialize() {
+    await this.client.initialize();
+  }
+
+  async send(destination, message) {
+    const sentMessage = await this.client.sendToDestination(destination, message);
+    return sentMessage && sentMessage.id ? sentMessage.id._serialized : null;
+  }
+
+  async delete(messageRef) {
+    return await this.client.deleteMessage(messageRef);
+  }
+
+  async edit(messageRef, message) {
+    return await this.client.editMessage(messageRef, message);
+  }
+
+  async reply(messageRef, message) {
+    const sentMessage = await this.client.replyToMessage(messageRef, message);
+    return sentMessage && sentMessage.id ? sentMessage.id._serialized : null;
+  }
+
+  getStatus() {
+    const status = this.client.getStatus();
+    return {
+      name: this.name,
+      isConfigured: true,
+      isReady: status.isReady,
+      isAuthenticated: status.isAuthenticated
+    };
+  }
+}
+
+module.exports = WhatsAppTransport;
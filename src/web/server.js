@@ -3,6 +3,76 @@ const path = require('path');
 const config = require('../config');
 const logger = require('../logger');
 const offerTracker = require('../offerTracker');
+const { migrateSeenOffers } = offerTracker;
+const digestTracker = require('../digestTracker');
+const outbox = require('../outbox');
+const alertTracker = require('../alertTracker');
+const marketReport = require('../marketReport');
+const webAuth = require('../webAuth');
+const transports = require('../transports');
+const coordinatorDirectory = require('../coordinatorDirectory');
+const coordinatorHealth = require('../coordinatorHealth');
+const { getScheduleState } = require('../notificationSchedule');
+const { createBundle, readBundle, restorePhoneNumbers, restoreSecrets } = require('../configBundle');
+const { formatTemplatePreview } = require('../messageFormatter');
+const { normalizeTemplate, TEMPLATE_PLACEHOLDERS } = require('../messageTemplate');
+const { DEFAULT_LANGUAGE, getLanguages, getUiCatalog, isSupportedLanguage, translate, translateUi, uiError } = require('../i18n');
+const { version: appVersion } = require('../../package.json');
+
+const SESSION_COOKIE = 'rsn_session';
+const SESSION_COOKIE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Paths reachable without signing in: the login page, what it loads (translations included) and the sign-in routes
+const PUBLIC_PATHS = ['/login', '/login.html', '/style.css', '/favicon.svg', '/api/auth/status', '/api/auth/login', '/api/auth/setup'];
+const PUBLIC_PATH_PREFIXES = ['/api/i18n/'];
+
+// Methods that change state and need the session's CSRF token
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[part.slice(0, index).trim()] = value;
+      }
+    }
+  });
+  return cookies;
+}
+
+// Whether a browser request comes from a page served by this server (requests without an
+// Origin header, e.g. from scripts, are not cross-site)
+function isSameOrigin(req) {
+  const origin = req.get('Origin');
+  if (!origin) {
+    return true;
+  }
+  try {
+    return new URL(origin).host === req.get('Host');
+  } catch (error) {
+    return false;
+  }
+}
+
+// Response bodies with text the web UI shows: the English text for scripts, with the key and params
+// of its web UI string (messageKey, messageParams) so the page can translate it
+function messageBody(key, params = {}) {
+  return { message: translateUi(DEFAULT_LANGUAGE, key, params), messageKey: key, messageParams: params };
+}
+
+function errorBody(key, params = {}) {
+  return { error: translateUi(DEFAULT_LANGUAGE, key, params), messageKey: key, messageParams: params };
+}
+
+// Body for a thrown error - errors created with i18n's uiError keep their web UI string
+function thrownErrorBody(error) {
+  return error.messageKey ? errorBody(error.messageKey, error.messageParams) : { error: error.message };
+}
 
 class WebServer {
   constructor(whatsappClient, getNextCheckTimeFn, isCheckRunningFn) {
@@ -14,15 +84,172 @@ class WebServer {
     this.port = process.env.WEB_PORT || 3000;
 
     this.setupMiddleware();
+    this.setupAuthRoutes();
     this.setupRoutes();
     this.setupSSE();
   }
 
   setupMiddleware() {
-    this.app.use(express.json());
+    // Large enough for backups, which include the seen offers
+    this.app.use(express.json({ limit: '10mb' }));
+    this.app.use((req, res, next) => this.authenticate(req, res, next));
     this.app.use(express.static(path.join(__dirname, 'public')));
   }
 
+  // Require a signed-in session (with its CSRF token on POST routes) or a bearer API token
+  // Sets req.auth to { type: 'session', sessionId, session } or { type: 'token', token }
+  authenticate(req, res, next) {
+    if (!webAuth.isEnabled()) {
+      return next();
+    }
+
+    // Scripts send an API token - no cookie is involved, so no CSRF token is needed
+    const authorization = req.get('Authorization') || '';
+    if (authorization.startsWith('Bearer ')) {
+      const token = webAuth.verifyToken(authorization.slice('Bearer '.length).trim());
+      if (!token) {
+        return res.status(401).json(errorBody('auth.invalidToken'));
+      }
+      req.auth = { type: 'token', token };
+      return next();
+    }
+
+    const sessionId = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+    const session = webAuth.getSession(sessionId);
+    if (session) {
+      if (UNSAFE_METHODS.includes(req.method) && req.get('X-CSRF-Token') !== session.csrfToken) {
+        return res.status(403).json(errorBody('auth.invalidCsrfToken'));
+      }
+      req.auth = { type: 'session', sessionId, session };
+      return next();
+    }
+
+    if (PUBLIC_PATHS.includes(req.path) || PUBLIC_PATH_PREFIXES.some(prefix => req.path.startsWith(prefix))) {
+      return next();
+    }
+    if (req.path.startsWith('/api/')) {
+      return res.status(401).json(errorBody('auth.signInRequired'));
+    }
+    res.redirect('/login');
+  }
+
+  // Start a session and set its cookie
+  startSession(req, res) {
+    const session = webAuth.createSession();
+    res.cookie(SESSION_COOKIE, session.id, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: SESSION_COOKIE_MAX_AGE_MS
+    });
+    return session;
+  }
+
+  setupAuthRoutes() {
+    // Sign-in page (the app itself when already signed in or when authentication is off)
+    this.app.get('/login', (req, res) => {
+      if (!webAuth.isEnabled() || req.auth) {
+        return res.redirect('/');
+      }
+      res.sendFile(path.join(__dirname, 'public', 'login.html'));
+    });
+
+    // Whether authentication is on, whether a password still has to be set, and the
+    // session's CSRF token for the page to send with POST requests
+    this.app.get('/api/auth/status', (req, res) => {
+      res.json({
+        enabled: webAuth.isEnabled(),
+        passwordSet: webAuth.hasPassword(),
+        authenticated: !webAuth.isEnabled() || Boolean(req.auth),
+        method: req.auth ? req.auth.type : null,
+        csrfToken: req.auth && req.auth.type === 'session' ? req.auth.session.csrfToken : null
+      });
+    });
+
+    // First-run password, confirmed with the setup code from the log
+    this.app.post('/api/auth/setup', async (req, res) => {
+      if (!webAuth.isEnabled() || !isSameOrigin(req)) {
+        return res.status(403).json(errorBody('auth.notAllowed'));
+      }
+      if (webAuth.isLockedOut(req.ip)) {
+        return res.status(429).json(errorBody('auth.tooManyAttempts'));
+      }
+      try {
+        await webAuth.setup(req.body.setupCode, req.body.password);
+      } catch (error) {
+        webAuth.recordFailure(req.ip);
+        return res.status(400).json(thrownErrorBody(error));
+      }
+      webAuth.clearFailures(req.ip);
+      this.startSession(req, res);
+      res.json({ success: true, ...messageBody('auth.passwordSet') });
+    });
+
+    this.app.post('/api/auth/login', async (req, res) => {
+      if (!webAuth.isEnabled() || !isSameOrigin(req)) {
+        return res.status(403).json(errorBody('auth.notAllowed'));
+      }
+      if (webAuth.isLockedOut(req.ip)) {
+        return res.status(429).json(errorBody('auth.tooManyAttempts'));
+      }
+      if (!(await webAuth.verifyPassword(req.body.password))) {
+        webAuth.recordFailure(req.ip);
+        logger.warn(`Failed web UI sign-in from ${req.ip}`);
+        return res.status(401).json(errorBody('auth.wrongPassword'));
+      }
+      webAuth.clearFailures(req.ip);
+      this.startSession(req, res);
+      logger.info(`Web UI sign-in from ${req.ip}`);
+      res.json({ success: true });
+    });
+
+    this.app.post('/api/auth/logout', (req, res) => {
+      if (req.auth && req.auth.type === 'session') {
+        webAuth.destroySession(req.auth.sessionId);
+      }
+      res.clearCookie(SESSION_COOKIE);
+      res.json({ success: true });
+    });
+
+    // Change the password - other sessions are signed out
+    this.app.post('/api/auth/password', async (req, res) => {
+      if (!webAuth.isEnabled()) {
+        return res.status(400).json(errorBody('auth.turnedOff'));
+      }
+      try {
+        const keepSessionId = req.auth && req.auth.type === 'session' ? req.auth.sessionId : null;
+        await webAuth.changePassword(req.body.currentPassword, req.body.newPassword, keepSessionId);
+        res.json({ success: true, ...messageBody('auth.passwordChanged') });
+      } catch (error) {
+        res.status(400).json(thrownErrorBody(error));
+      }
+    });
+
+    // API tokens for scripts (sent as "Authorization: Bearer <token>")
+    this.app.get('/api/auth/tokens', (req, res) => {
+      res.json({ tokens: webAuth.listTokens() });
+    });
+
+    this.app.post('/api/auth/tokens', async (req, res) => {
+      if (!webAuth.isEnabled()) {
+        return res.status(400).json(errorBody('auth.turnedOff'));
+      }
+      try {
+        const token = await webAuth.createToken(req.body.name);
+        res.json({ success: true, ...token });
+      } catch (error) {
+        res.status(400).json(thrownErrorBody(error));
+      }
+    });
+
+    this.app.post('/api/auth/tokens/revoke', async (req, res) => {
+      if (!(await webAuth.revokeToken(req.body.id))) {
+        return res.status(404).json(errorBody('auth.tokenNotFound'));
+      }
+      res.json({ success: true, ...messageBody('auth.tokenRevoked') });
+    });
+  }
+
   setupRoutes() {
     // Serve main page
     this.app.get('/', (req, res) => {
@@ -36,17 +263,24 @@ class WebServer {
         res.json(settings);
       } catch (error) {
         logger.error('Error getting settings:', error);
-        res.status(500).json({ error: 'Failed to get settings' });
+        res.status(500).json(errorBody('settings.loadFailed'));
       }
     });
 
     // Save configuration and reload
-    this.app.post('/api/settings', (req, res) => {
+    // Settings are validated against the settings schema before anything is saved; invalid or
+    // unknown keys are rejected with a message per field for the form to show inline
+    this.app.post('/api/settings', async (req, res) => {
       try {
-        const newSettings = req.body;
+        const { values: newSettings, errors } = config.validateSettings(req.body);
+        const invalidKeys = Object.keys(errors);
+        if (invalidKeys.length > 0) {
+          const details = invalidKeys.map(key => key === '_' ? errors[key] : `${key} ${errors[key]}`);
+          return res.status(400).json({ ...errorBody('settings.invalidSettings', { details: details.join('; ') }), fields: errors });
+        }
         
-        // Get existing config to merge with
-        const existingConfig = config.getConfig();
+        // Get existing config to merge with (IS_FIRST_RUN is state, not a setting)
+        const { IS_FIRST_RUN, ...existingConfig } = config.getConfig();
         
         // Merge new settings with existing config
         const mergedConfig = { ...existingConfig, ...newSettings };
@@ -54,20 +288,109 @@ class WebServer {
         // Keep all notification fields - let NOTIFICATION_TYPE determine which is used
         // This preserves user settings when switching between group/contact modes
         
-        config.saveConfig(mergedConfig);
+        try {
+          this.applyConfig(mergedConfig, existingConfig);
+        } catch (error) {
+          return res.status(400).json(thrownErrorBody(error));
+        }
+        
+        // Let transports verify changed credentials (e.g. a new Telegram bot token)
+        await transports.reload();
         
-        // Reload configuration immediately
-        config.reloadConfig();
+        // Load the federation list right away when its source changed
+        await coordinatorDirectory.refreshIfStale();
         
         res.json({ 
           success: true, 
-          message: 'Settings saved and applied successfully!' 
+          ...messageBody('settings.saved')
         });
         
         logger.info('Settings updated and reloaded via web UI');
       } catch (error) {
         logger.error('Error saving settings:', error);
-        res.status(500).json({ error: 'Failed to save settings' });
+        res.status(500).json(errorBody('settings.saveFailed'));
+      }
+    });
+
+    // Download a backup bundle of the settings and seen offers
+    // ?redactPhones=true blanks phone numbers, ?includeSecrets=true keeps the bot token and webhook secrets
+    // (blanked by default), ?seenOffers=false leaves out the seen offers
+    this.app.get('/api/config/export', (req, res) => {
+      try {
+        const { IS_FIRST_RUN, ...settings } = config.getConfig();
+        const bundle = createBundle({
+          settings: JSON.parse(JSON.stringify(settings)), // Drops settings that aren't set
+          seenOffers: req.query.seenOffers === 'false' ? null : offerTracker.exportState(),
+          redactPhones: req.query.redactPhones === 'true',
+          includeSecrets: req.query.includeSecrets === 'true',
+          appVersion
+        });
+        res.set('Content-Disposition', `attachment; filename="robosats-notifier-backup-${bundle.exportedAt.slice(0, 10)}.json"`);
+        res.json(bundle);
+      } catch (error) {
+        logger.error('Error exporting configuration:', error);
+        res.status(500).json(errorBody('backup.exportFailed'));
+      }
+    });
+
+    // Restore a backup bundle - replaces the settings, and the seen offers when the bundle has them
+    // Older bundles are upgraded by the migration chain; redacted phone numbers and secrets keep their current values
+    this.app.post('/api/config/import', async (req, res) => {
+      let bundle;
+      let seenOffers = null;
+      try {
+        bundle = readBundle(req.body);
+        // Upgrade the seen offers before anything is applied, so an unsupported version is rejected
+        seenOffers = bundle.seenOffers ? migrateSeenOffers(bundle.seenOffers) : null;
+      } catch (error) {
+        return res.status(400).json(thrownErrorBody(error));
+      }
+      
+      try {
+        const { IS_FIRST_RUN, ...existingConfig } = config.getConfig();
+        let importedSettings = bundle.settings;
+        if (bundle.redacted.includes('phoneNumbers')) {
+          importedSettings = restorePhoneNumbers(importedSettings, existingConfig);
+        }
+        if (bundle.redacted.includes('secrets')) {
+          importedSettings = restoreSecrets(importedSettings, existingConfig);
+        }
+        const { values: newSettings, errors } = config.validateSettings(importedSettings);
+        const invalidKeys = Object.keys(errors);
+        if (invalidKeys.length > 0) {
+          const details = invalidKeys.map(key => key === '_' ? errors[key] : `${key} ${errors[key]}`);
+          return res.status(400).json({ ...errorBody('backup.invalidSettings', { details: details.join('; ') }), fields: errors });
+        }
+        
+        try {
+          this.applyConfig(newSettings, existingConfig);
+        } catch (error) {
+          return res.status(400).json(thrownErrorBody(error));
+        }
+        
+        // Let transports verify changed credentials (e.g. a new Telegram bot token)
+        await transports.reload();
+        
+        // Load the federation list right away when its source changed
+        await coordinatorDirectory.refreshIfStale();
+        
+        if (seenOffers) {
+          await offerTracker.importState(seenOffers.state);
+        }
+        
+        const applied = [...bundle.applied, ...(seenOffers ? seenOffers.applied : [])];
+        res.json({
+          success: true,
+          ...(seenOffers
+            ? messageBody('backup.restoredWithOffers', { count: offerTracker.seenOffers.size })
+            : messageBody('backup.restored')),
+          migrations: applied
+        });
+        
+        logger.info(`Configuration imported via web UI${applied.length > 0 ? ` (migrated: ${applied.join('; ')})` : ''}`);
+      } catch (error) {
+        logger.error('Error importing configuration:', error);
+        res.status(500).json(errorBody('backup.importFailed'));
       }
     });
 
@@ -87,10 +410,20 @@ class WebServer {
         if (this.isCheckRunning) {
           status.isCheckInProgress = this.isCheckRunning();
         }
+        // Add per-transport status (WhatsApp, Telegram)
+        status.transports = transports.getStatuses();
+        // Quiet hours state for the countdown
+        status.schedule = getScheduleState(config.NOTIFICATION_SCHEDULE);
+        // Queued and failed notifications
+        status.outbox = outbox.getStatus();
+        // Federation list source and when it was last loaded
+        status.federation = coordinatorDirectory.getStatus();
+        // Network offers are fetched from (a testnet instance is flagged in the UI)
+        status.network = config.ROBOSATS_NETWORK;
         res.json(status);
       } catch (error) {
         logger.error('Error getting status:', error);
-        res.status(500).json({ error: 'Failed to get status' });
+        res.status(500).json(errorBody('status.loadFailed'));
       }
     });
 
@@ -98,13 +431,39 @@ class WebServer {
     this.app.post('/api/delete-history', async (req, res) => {
       try {
         await offerTracker.clearAll();
+        await digestTracker.clearAll();
+        await outbox.clearAll();
+        await alertTracker.clearAll();
         res.json({ 
           success: true,
-          message: 'Offer history deleted successfully!' 
+          ...messageBody('settings.historyDeleted')
         });
       } catch (error) {
         logger.error('Error deleting offer history:', error);
-        res.status(500).json({ error: 'Failed to delete offer history' });
+        res.status(500).json(errorBody('settings.deleteHistoryFailed'));
+      }
+    });
+
+    // Give failed notifications a fresh set of attempts
+    this.app.post('/api/outbox/retry', async (req, res) => {
+      try {
+        const count = await outbox.retryFailed();
+        outbox.process().catch(error => logger.error('Error sending queued notifications:', error));
+        res.json({ success: true, ...messageBody('status.outboxRetrying', { count }) });
+      } catch (error) {
+        logger.error('Error retrying notifications:', error);
+        res.status(500).json(errorBody('status.outboxRetryFailed'));
+      }
+    });
+
+    // Drop failed notifications
+    this.app.post('/api/outbox/discard', async (req, res) => {
+      try {
+        const count = await outbox.discardFailed();
+        res.json({ success: true, ...messageBody('status.outboxDiscarded', { count }) });
+      } catch (error) {
+        logger.error('Error discarding notifications:', error);
+        res.status(500).json(errorBody('status.outboxDiscardFailed'));
       }
     });
 
@@ -136,32 +495,159 @@ class WebServer {
     });
 
     // Get available coordinators with display names (sorted alphabetically by name)
+    // The list comes from the federation source (or the built-in list) with the overrides applied
     this.app.get('/api/coordinators', (req, res) => {
-      const coordinatorsWithNames = config.AVAILABLE_COORDINATORS.map(id => ({
-        id: id,
-        name: config.COORDINATOR_MAP[id] || id
+      const coordinatorsWithNames = coordinatorDirectory.getAll().map(coordinator => ({
+        id: coordinator.id,
+        name: coordinator.name,
+        source: coordinator.source
       }));
       // Sort by name alphabetically
       coordinatorsWithNames.sort((a, b) => a.name.localeCompare(b.name));
       res.json(coordinatorsWithNames);
     });
 
+    // Request history and circuit breaker state of the monitored coordinators
+    // (and of coordinators that were monitored before and still have history)
+    this.app.get('/api/coordinators/health', (req, res) => {
+      const monitored = coordinatorDirectory.getMonitoredIds();
+      const ids = [...new Set([...monitored, ...Object.keys(coordinatorHealth.coordinators)])];
+      const coordinators = ids.map(id => ({
+        id,
+        name: coordinatorDirectory.getName(id),
+        monitored: monitored.includes(id),
+        ...(coordinatorHealth.getHealth(id) || { state: 'unknown' })
+      }));
+      coordinators.sort((a, b) => a.name.localeCompare(b.name));
+      res.json({ coordinators });
+    });
+
+    // Price alert rules with their state (whether the condition holds, when it last fired)
+    this.app.get('/api/price-alerts', (req, res) => {
+      const alerts = config.PRICE_ALERTS.map(rule => ({
+        ...rule,
+        state: alertTracker.getState(rule) || { active: false, since: null, lastFiredAt: null, lastValue: null }
+      }));
+      res.json({ alerts });
+    });
+
+    // Languages with a translation catalog (chat messages and web UI)
+    this.app.get('/api/i18n/languages', (req, res) => {
+      res.json({ languages: getLanguages(), defaultLanguage: config.LANGUAGE });
+    });
+
+    // Web UI strings of a language, with English for the strings it doesn't translate
+    this.app.get('/api/i18n/:code', (req, res) => {
+      if (!isSupportedLanguage(req.params.code)) {
+        return res.status(404).json({ error: `No translation for ${req.params.code}` });
+      }
+      res.json(getUiCatalog(req.params.code));
+    });
+
+    // Placeholders available in message templates, with descriptions
+    this.app.get('/api/message-template/placeholders', (req, res) => {
+      res.json({ placeholders: TEMPLATE_PLACEHOLDERS });
+    });
+
+    // Render a message template against sample offers ('' previews the built-in layout)
+    this.app.post('/api/message-template/preview', (req, res) => {
+      let template;
+      try {
+        template = normalizeTemplate(req.body.template);
+      } catch (error) {
+        return res.status(400).json(thrownErrorBody(error));
+      }
+      res.json({ previews: formatTemplatePreview(template, req.body.language || config.LANGUAGE) });
+    });
+
+    // Cross-coordinator market summary from the latest check, optionally limited to
+    // some currencies (?currencies=USD,EUR)
+    this.app.get('/api/market-summary', (req, res) => {
+      const summary = marketReport.getSummary();
+      if (!summary) {
+        return res.status(404).json(errorBody('settings.noMarketSummary'));
+      }
+      const currencies = String(req.query.currencies || '').split(',')
+        .map(code => code.trim().toUpperCase())
+        .filter(Boolean);
+      res.json({
+        ...(currencies.length > 0 ? marketReport.filterSummary(summary, currencies) : summary),
+        report: {
+          mode: config.MARKET_REPORT_MODE,
+          hour: config.MARKET_REPORT_HOUR,
+          lastReportAt: marketReport.lastReportAt,
+          nextReportAt: config.MARKET_REPORT_MODE === 'off' ? null : marketReport.nextReportAt
+        }
+      });
+    });
+
+    // Probe a skipped coordinator on the next check instead of waiting for its cool-off
+    this.app.post('/api/coordinators/health/probe', async (req, res) => {
+      const coordinator = req.body.coordinator;
+      if (!(await coordinatorHealth.probeNow(coordinator))) {
+        return res.status(404).json(errorBody('health.notSkipped', { coordinator }));
+      }
+      res.json({
+        success: true,
+        ...messageBody('health.probeScheduled', { name: coordinatorDirectory.getName(coordinator) })
+      });
+    });
+
+    // Reload the federation list from its source now
+    this.app.post('/api/coordinators/refresh', async (req, res) => {
+      if (!config.COORDINATOR_SOURCE) {
+        return res.status(400).json(errorBody('settings.noCoordinatorSource'));
+      }
+      try {
+        const coordinators = await coordinatorDirectory.refresh();
+        res.json({
+          success: true,
+          ...messageBody('settings.coordinatorsLoaded', { count: coordinators.length }),
+          federation: coordinatorDirectory.getStatus()
+        });
+      } catch (error) {
+        res.status(502).json(errorBody('settings.loadCoordinatorsFailed', { reason: error.message }));
+      }
+    });
+
     // Get available country codes
     this.app.get('/api/countries', (req, res) => {
       res.json(config.COUNTRY_CODES);
     });
 
-    // Send test message to WhatsApp group or contact
+    // Send test message to WhatsApp group or contact, or a Telegram chat
     this.app.post('/api/test-message', async (req, res) => {
       try {
-        if (!this.whatsappClient.isReady) {
-          return res.status(503).json({ 
-            error: 'WhatsApp is not connected yet. Please wait for authentication.' 
+        const notificationType = req.body.notificationType || 'group';
+        const testMessage = translate(config.LANGUAGE, 'testMessage');
+
+        if (notificationType === 'telegram') {
+          const telegram = transports.getTransport('telegram');
+          if (!telegram.isConfigured) {
+            return res.status(400).json(errorBody('settings.telegramNotConfigured'));
+          }
+
+          let destination;
+          try {
+            destination = config.normalizeDestination({ type: 'telegram', chatId: req.body.chatId });
+          } catch (error) {
+            return res.status(400).json(thrownErrorBody(error));
+          }
+
+          await telegram.send(destination, testMessage);
+
+          res.json({
+            success: true,
+            ...messageBody('settings.testMessageSentTelegram', { chatId: destination.chatId })
           });
+
+          logger.info(`Test message sent to Telegram chat ${destination.chatId} via web UI`);
+          return;
         }
 
-        const notificationType = req.body.notificationType || 'group';
-        const testMessage = '🤖 *Test Message from RoboSats Notifier*\n\nIf you can see this message, the bot is working correctly!';
+        if (!this.whatsappClient.isReady) {
+          return res.status(503).json(errorBody('settings.whatsappNotConnected'));
+        }
 
         if (notificationType === 'contact') {
           // Test contact message
@@ -169,24 +655,20 @@ class WebServer {
           const phoneNumber = req.body.phoneNumber;
 
           if (!countryCode || !phoneNumber) {
-            return res.status(400).json({
-              error: 'Please enter country code and phone number'
-            });
+            return res.status(400).json(errorBody('settings.enterCountryCodeAndPhone'));
           }
 
           // Validate phone number format (digits only, 6-15 characters)
           const cleanPhone = phoneNumber.replace(/\D/g, '');
           if (cleanPhone.length < 6 || cleanPhone.length > 15) {
-            return res.status(400).json({
-              error: 'Phone number must be 6-15 digits'
-            });
+            return res.status(400).json(errorBody('settings.invalidPhoneNumber'));
           }
 
           await this.whatsappClient.sendToContact(countryCode, phoneNumber, testMessage);
           
           res.json({ 
             success: true, 
-            message: `Test message sent successfully to ${countryCode} ${phoneNumber}!` 
+            ...messageBody('settings.testMessageSentContact', { phone: `${countryCode} ${phoneNumber}` })
           });
           
           logger.info(`Test message sent to contact ${countryCode} ${phoneNumber} via web UI`);
@@ -195,9 +677,7 @@ class WebServer {
           const groupName = req.body.groupName || config.WHATSAPP_GROUP_NAME;
           
           if (!groupName) {
-            return res.status(400).json({
-              error: 'Please enter a group name'
-            });
+            return res.status(400).json(errorBody('settings.enterGroupName'));
           }
 
           const chats = await this.whatsappClient.client.getChats();
@@ -206,29 +686,38 @@ class WebServer {
           );
 
           if (!group) {
-            return res.status(404).json({ 
-              error: `Group "${groupName}" not found. Please check the group name is correct.` 
-            });
+            return res.status(404).json(errorBody('settings.groupNotFound', { name: groupName }));
           }
 
           await this.whatsappClient.client.sendMessage(group.id._serialized, testMessage, { linkPreview: false });
           
           res.json({ 
             success: true, 
-            message: `Test message sent successfully to "${groupName}"!` 
+            ...messageBody('settings.testMessageSentGroup', { name: groupName })
           });
           
           logger.info(`Test message sent to group "${groupName}" via web UI`);
         }
       } catch (error) {
         logger.error('Error sending test message:', error);
-        res.status(500).json({ 
-          error: 'Failed to send test message: ' + error.message 
-        });
+        res.status(500).json(errorBody('settings.testMessageFailedReason', { reason: error.message }));
       }
     });
   }
 
+  // Save and apply a new configuration - settings that are only invalid in combination are rejected
+  // by the reload, in which case the previous configuration is restored and the error rethrown
+  applyConfig(newConfig, previousConfig) {
+    config.saveConfig(newConfig);
+    try {
+      config.reloadConfig();
+    } catch (error) {
+      config.saveConfig(previousConfig);
+      config.reloadConfig();
+      throw error.messageKey ? error : uiError('settings.applyFailed', { reason: error.message });
+    }
+  }
+
   setupSSE() {
     // Listen for QR code events from WhatsApp client
     this.whatsappClient.on('qr', (qrData) => {
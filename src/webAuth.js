@@ -0,0 +1,232 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('./config');
+const logger = require('./logger');
+const { uiError } = require('./i18n');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Sessions expire after a week without requests
+const SESSION_IDLE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Clients are locked out for a while after repeated wrong passwords or setup codes
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 5 * 60 * 1000;
+
+// API tokens are shown once and stored as a SHA-256 hash; the prefix makes leaked tokens easy to spot
+const TOKEN_PREFIX = 'rsn_';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Compare two strings without leaking where they differ
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// "scrypt:<salt>:<hash>" of a password
+async function hashPassword(password) {
+  const salt = randomToken(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+async function checkPassword(password, passwordHash) {
+  const [scheme, salt, expected] = String(passwordHash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+  const hash = await scrypt(String(password), salt, 64);
+  return safeEqual(hash.toString('hex'), expected);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw uiError('auth.passwordTooShort', { min: MIN_PASSWORD_LENGTH });
+  }
+}
+
+// Web UI and REST API authentication (enabled with WEB_AUTH=true)
+// The password hash and API tokens are persisted in auth.json; sessions live in memory, so a
+// restart signs the web UI out. Until a password is set, a one-time setup code is written to the
+// log so only someone with access to the server can choose it.
+class WebAuth {
+  constructor() {
+    this.dataFile = path.join(config.DATA_DIR, 'auth.json');
+    this.passwordHash = null;
+    this.tokens = []; // [{ id, name, hash, createdAt, lastUsedAt }]
+    this.sessions = new Map(); // sessionId -> { csrfToken, createdAt, lastSeenAt }
+    this.setupCode = null;
+    this.failedAttempts = new Map(); // client -> { count, lockedUntil }
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(config.DATA_DIR, { recursive: true });
+      const data = JSON.parse(await fs.readFile(this.dataFile, 'utf-8'));
+      this.passwordHash = data.passwordHash || null;
+      this.tokens = data.tokens || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    if (this.isEnabled() && !this.hasPassword()) {
+      this.setupCode = randomToken(4);
+      logger.warn(`Web UI password not set - open the web UI and enter setup code ${this.setupCode} to choose one`);
+    }
+  }
+
+  async save() {
+    const data = { passwordHash: this.passwordHash, tokens: this.tokens };
+    await fs.writeFile(this.dataFile, JSON.stringify(data, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  }
+
+  isEnabled() {
+    return config.WEB_AUTH;
+  }
+
+  hasPassword() {
+    return Boolean(this.passwordHash);
+  }
+
+  // First-run password - requires the setup code from the log
+  async setup(setupCode, password) {
+    if (this.hasPassword()) {
+      throw uiError('auth.passwordAlreadySet');
+    }
+    if (!this.setupCode || !safeEqual(String(setupCode || '').trim().toLowerCase(), this.setupCode)) {
+      throw uiError('auth.invalidSetupCode');
+    }
+    validatePassword(password);
+    this.passwordHash = await hashPassword(password);
+    this.setupCode = null;
+    await this.save();
+    logger.info('Web UI password set');
+  }
+
+  async verifyPassword(password) {
+    return this.hasPassword() && await checkPassword(password, this.passwordHash);
+  }
+
+  // Change the password and sign out every other session
+  async changePassword(currentPassword, newPassword, keepSessionId) {
+    if (!(await this.verifyPassword(currentPassword))) {
+      throw uiError('auth.currentPasswordIncorrect');
+    }
+    validatePassword(newPassword);
+    this.passwordHash = await hashPassword(newPassword);
+    await this.save();
+    [...this.sessions.keys()]
+      .filter(id => id !== keepSessionId)
+      .forEach(id => this.sessions.delete(id));
+    logger.info('Web UI password changed');
+  }
+
+  // Whether a client (IP address) must wait before trying another password
+  isLockedOut(client) {
+    const attempts = this.failedAttempts.get(client);
+    return Boolean(attempts && attempts.lockedUntil > Date.now());
+  }
+
+  recordFailure(client) {
+    const attempts = this.failedAttempts.get(client) || { count: 0, lockedUntil: 0 };
+    attempts.count++;
+    if (attempts.count >= MAX_FAILED_ATTEMPTS) {
+      attempts.count = 0;
+      attempts.lockedUntil = Date.now() + LOCKOUT_MS;
+      logger.warn(`Too many failed web UI sign-ins from ${client} - locked out for ${LOCKOUT_MS / 60000} minutes`);
+    }
+    this.failedAttempts.set(client, attempts);
+  }
+
+  clearFailures(client) {
+    this.failedAttempts.delete(client);
+  }
+
+  createSession() {
+    const id = randomToken();
+    const session = { csrfToken: randomToken(), createdAt: Date.now(), lastSeenAt: Date.now() };
+    this.sessions.set(id, session);
+    return { id, ...session };
+  }
+
+  // Session for a cookie value, or null when unknown or expired
+  getSession(id) {
+    const session = id ? this.sessions.get(id) : null;
+    if (!session) {
+      return null;
+    }
+    if (Date.now() - session.lastSeenAt > SESSION_IDLE_MS) {
+      this.sessions.delete(id);
+      return null;
+    }
+    session.lastSeenAt = Date.now();
+    return session;
+  }
+
+  destroySession(id) {
+    this.sessions.delete(id);
+  }
+
+  // New API token - the plain token is only returned here
+  async createToken(name) {
+    const tokenName = String(name || '').trim();
+    if (!tokenName) {
+      throw uiError('auth.tokenNameRequired');
+    }
+    const token = `${TOKEN_PREFIX}${randomToken()}`;
+    const entry = { id: randomToken(8), name: tokenName, hash: sha256(token), createdAt: Date.now(), lastUsedAt: null };
+    this.tokens.push(entry);
+    await this.save();
+    logger.info(`API token "${tokenName}" created`);
+    return { token, ...this.describeToken(entry) };
+  }
+
+  // Token entry for a bearer token, or null
+  verifyToken(token) {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+    const hash = sha256(token);
+    const entry = this.tokens.find(candidate => safeEqual(candidate.hash, hash));
+    if (!entry) {
+      return null;
+    }
+    // Recorded in memory on every use, persisted with the next change
+    entry.lastUsedAt = Date.now();
+    return entry;
+  }
+
+  async revokeToken(id) {
+    const entry = this.tokens.find(candidate => candidate.id === id);
+    if (!entry) {
+      return false;
+    }
+    this.tokens = this.tokens.filter(candidate => candidate !== entry);
+    await this.save();
+    logger.info(`API token "${entry.name}" revoked`);
+    return true;
+  }
+
+  describeToken(entry) {
+    return { id: entry.id, name: entry.name, createdAt: entry.createdAt, lastUsedAt: entry.lastUsedAt };
+  }
+
+  listTokens() {
+    return this.tokens.map(entry => this.describeToken(entry));
+  }
+}
+
+module.exports = new WebAuth();
@@ -98,18 +98,18 @@ class WhatsAppClient extends EventEmitter {
     await this.client.initialize();
   }
 
-  async sendToGroup(message) {
+  async sendToGroup(message, groupName = config.WHATSAPP_GROUP_NAME) {
     if (!this.isReady) {
       throw new Error('WhatsApp client is not ready');
     }
 
     const chats = await this.client.getChats();
     const group = chats.find(chat => 
-      chat.isGroup && chat.name === config.WHATSAPP_GROUP_NAME
+      chat.isGroup && chat.name === groupName
     );
 
     if (!group) {
-      throw new Error(`Group "${config.WHATSAPP_GROUP_NAME}" not found`);
+      throw new Error(`Group "${groupName}" not found`);
     }
 
     const sentMessage = await this.client.sendMessage(group.id._serialized, message, { linkPreview: false });
@@ -139,11 +139,18 @@ class WhatsAppClient extends EventEmitter {
   }
 
   async sendNotification(message) {
-    const notificationType = config.NOTIFICATION_TYPE || 'group';
+    return await this.sendToDestination({
+      type: config.NOTIFICATION_TYPE || 'group',
+      groupName: config.WHATSAPP_GROUP_NAME,
+      countryCode: config.CONTACT_COUNTRY_CODE,
+      phoneNumber: config.CONTACT_PHONE_NUMBER
+    }, message);
+  }
 
-    if (notificationType === 'contact') {
-      const countryCode = config.CONTACT_COUNTRY_CODE;
-      const phoneNumber = config.CONTACT_PHONE_NUMBER;
+  // Send to a subscription destination: { type: 'group', groupName } or { type: 'contact', countryCode, phoneNumber }
+  async sendToDestination(destination, message) {
+    if (destination.type === 'contact') {
+      const { countryCode, phoneNumber } = destination;
 
       if (!countryCode || !phoneNumber) {
         throw new Error('Contact notification type selected but country code or phone number not configured');
@@ -152,7 +159,7 @@ class WhatsAppClient extends EventEmitter {
       return await this.sendToContact(countryCode, phoneNumber, message);
     } else {
       // Default to group
-      return await this.sendToGroup(message);
+      return await this.sendToGroup(message, destination.groupName);
     }
   }
 
@@ -175,6 +182,45 @@ class WhatsAppClient extends EventEmitter {
       return false;
     }
   }
+
+  async replyToMessage(messageId, text) {
+    if (!this.isReady) {
+      throw new Error('WhatsApp client is not ready');
+    }
+
+    const message = await this.client.getMessageById(messageId);
+    if (!message) {
+      throw new Error(`Message ${messageId} not found`);
+    }
+    const sentMessage = await message.reply(text, undefined, { linkPreview: false });
+    logger.info(`Replied to message ${messageId}`);
+    return sentMessage;
+  }
+
+  async editMessage(messageId, text) {
+    if (!this.isReady) {
+      throw new Error('WhatsApp client is not ready');
+    }
+
+    try {
+      const message = await this.client.getMessageById(messageId);
+      if (message) {
+        // edit() resolves to null when WhatsApp refuses the edit (e.g. the edit window has passed)
+        const edited = await message.edit(text, { linkPreview: false });
+        if (edited) {
+          logger.info(`Edited message ${messageId}`);
+          return true;
+        }
+        logger.warn(`Message ${messageId} could not be edited`);
+        return false;
+      }
+      logger.warn(`Message ${messageId} not found`);
+      return false;
+    } catch (error) {
+      logger.warn(`Failed to edit message ${messageId}: ${error.message}`);
+      return false;
+    }
+  }
 }
 
 module.exports = new WhatsAppClient();